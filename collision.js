@@ -3,37 +3,214 @@
 class CollisionSystem {
     constructor() {
         this.colliders = [];
+        this.contacts = []; // Every contact found by the last checkCollisions()
+        this.broadPhase = true; // Off tests every capsule against every collider, for comparison
+        this.benchmark = null; // { samples } while measuring per-frame cost
     }
 
     addCollider(collider) {
         this.colliders.push(collider);
     }
 
+    removeCollider(collider) {
+        this.colliders = this.colliders.filter(other => other !== collider);
+    }
+
+    // Capsules of the YBot's own CapsuleCollider, moved to its current pose
+    getCapsules(object) {
+        if (!object || !object.bones) return null;
+        const capsuleCollider = this.colliders.find(collider => collider instanceof CapsuleCollider && collider.ybot === object);
+        if (!capsuleCollider) return null;
+        capsuleCollider.updateCapsules();
+        return capsuleCollider.capsules;
+    }
+
+    // Capsules each collider has to test. Colliders with bounds only get the capsules
+    // whose boxes overlap theirs; colliders without (the endless floor) get them all.
+    findCandidates(capsules) {
+        const candidates = new Map();
+        const bounded = [];
+        for (const collider of this.colliders) {
+            if (collider.bounds && this.broadPhase) {
+                candidates.set(collider, []);
+                bounded.push(collider);
+            } else {
+                candidates.set(collider, capsules || []);
+            }
+        }
+
+        if (capsules && bounded.length > 0) {
+            const pairs = sweepAndPrune(capsules.map(capsule => capsule.bounds), bounded.map(collider => collider.bounds));
+            for (const [capsuleIndex, colliderIndex] of pairs) {
+                candidates.get(bounded[colliderIndex]).push(capsules[capsuleIndex]);
+            }
+        }
+        return candidates;
+    }
+
+    // Every touching collider contributes to one manifold, so a wall still pushes
+    // while the floor holds YBot up
     checkCollisions(object) {
+        const startTime = this.benchmark ? performance.now() : 0;
+        const capsules = this.getCapsules(object);
+        const candidates = this.findCandidates(capsules);
+        const contacts = [];
+        let pairsTested = 0;
+
         for (const collider of this.colliders) {
-            if (collider.checkCollision(object)) {
-                return collider.resolveCollision(object);
+            const colliderCapsules = candidates.get(collider);
+            if (colliderCapsules.length === 0) continue;
+            pairsTested += colliderCapsules.length;
+            // For an obstacle checkCollision only compares bounds, which is the broad
+            // phase's job: skipped, so without the broad phase every pair is tested
+            if (!collider.bounds && !collider.checkCollision(object, colliderCapsules)) continue;
+
+            const resolution = collider.resolveCollision(object, colliderCapsules);
+            if (!resolution) continue;
+            if (resolution.contacts) {
+                contacts.push(...resolution.contacts);
+            } else {
+                contacts.push({ point: null, normal: resolution.normal, penetration: resolution.penetration, capsule: null, collider: collider });
             }
         }
-        return null;
+
+        this.contacts = contacts;
+        if (this.benchmark) {
+            this.recordBenchmarkSample({
+                time: performance.now() - startTime,
+                pairsTested: pairsTested,
+                pairsTotal: (capsules ? capsules.length : 0) * this.colliders.length,
+                contacts: contacts.length
+            });
+        }
+        return contacts.length > 0 ? createContactManifold(contacts) : null;
     }
 
-    // Check if a point collides with any capsule colliders
+    // Manifold of every collider the point is inside (the floor, scene obstacles,
+    // YBot's capsules), or null when it is in free space
     checkPointCollision(point) {
+        const contacts = [];
         for (const collider of this.colliders) {
-            if (collider instanceof CapsuleCollider) {
-                if (collider.checkCollision(point)) {
-                    return collider.resolveCollision(point);
-                }
+            const closest = collider.closestPoint ? collider.closestPoint(point) : null;
+            if (closest && closest.distance < 0) {
+                contacts.push({ point: closest.point, normal: closest.normal, penetration: -closest.distance, capsule: null, collider: collider });
             }
         }
-        return null;
+        return contacts.length > 0 ? createContactManifold(contacts) : null;
+    }
+
+    // Nearest point at least clearance away from every collider, for IK targets.
+    // skipCapsule(capsule) leaves out YBot capsules that shouldn't count (the ones
+    // the reaching limb moves itself). Pushing out of one collider can push into
+    // another, so this repeats until nothing pushes. Returns { point, distance,
+    // colliders }: the free point, how far it moved and the colliders it left.
+    projectPoint(point, clearance = 0, skipCapsule = null) {
+        const projected = point.clone();
+        const pushedOutOf = new Set();
+
+        for (let pass = 0; pass < 8; pass++) {
+            let pushed = false;
+            for (const collider of this.colliders) {
+                if (!collider.closestPoint) continue;
+                if (collider.bounds && collider.bounds.distanceToPoint(projected) > clearance) continue;
+
+                const closest = collider.closestPoint(projected, skipCapsule);
+                if (!closest || closest.distance >= clearance - 1e-6) continue;
+                projected.addScaledVector(closest.normal, clearance - closest.distance);
+                pushedOutOf.add(collider);
+                pushed = true;
+            }
+            if (!pushed) break;
+        }
+
+        return { point: projected, distance: projected.distanceTo(point), colliders: [...pushedOutOf] };
+    }
+
+    startBenchmark() {
+        this.benchmark = { samples: [] };
     }
+
+    stopBenchmark() {
+        const report = this.getBenchmarkReport();
+        this.benchmark = null;
+        return report;
+    }
+
+    recordBenchmarkSample(sample) {
+        this.benchmark.samples.push(sample);
+        if (this.benchmark.samples.length > 120) {
+            this.benchmark.samples.shift(); // Two seconds at 60 fps
+        }
+    }
+
+    // Per-frame collision cost over the recent frames, or null before the first one
+    getBenchmarkReport() {
+        const samples = this.benchmark ? this.benchmark.samples : [];
+        if (samples.length === 0) return null;
+
+        const average = field => samples.reduce((sum, sample) => sum + sample[field], 0) / samples.length;
+        return {
+            frames: samples.length,
+            averageTime: average('time'),
+            maxTime: Math.max(...samples.map(sample => sample.time)),
+            pairsTested: average('pairsTested'),
+            pairsTotal: average('pairsTotal'),
+            contacts: average('contacts'),
+            colliders: this.colliders.length,
+            broadPhase: this.broadPhase
+        };
+    }
+}
+
+// Sweep and prune along X: boxes are visited by their low X edge, and a box can
+// only overlap those still open on X, which are then checked on Y and Z.
+// With boxesB, returns the overlapping [indexA, indexB] pairs between the two
+// lists; without, the overlapping [i, j] pairs within boxesA (i < j).
+function sweepAndPrune(boxesA, boxesB) {
+    const entries = boxesA.map((box, index) => ({ box: box, index: index, list: 0 }));
+    if (boxesB) {
+        entries.push(...boxesB.map((box, index) => ({ box: box, index: index, list: 1 })));
+    }
+    entries.sort((a, b) => a.box.min.x - b.box.min.x);
+
+    const pairs = [];
+    let open = [];
+    for (const entry of entries) {
+        open = open.filter(other => other.box.max.x >= entry.box.min.x);
+        for (const other of open) {
+            if (boxesB && other.list === entry.list) continue;
+            if (other.box.max.y < entry.box.min.y || other.box.min.y > entry.box.max.y ||
+                other.box.max.z < entry.box.min.z || other.box.min.z > entry.box.max.z) continue;
+
+            const [first, second] = entry.list === 0 && other.list === 1 ? [entry, other] : [other, entry];
+            if (boxesB) {
+                pairs.push([first.index, second.index]);
+            } else {
+                pairs.push(first.index < second.index ? [first.index, second.index] : [second.index, first.index]);
+            }
+        }
+        open.push(entry);
+    }
+    return pairs;
+}
+
+// Axis-aligned box around a capsule, kept on capsule.bounds for the broad phase
+function updateCapsuleBounds(capsule) {
+    if (!capsule.bounds) {
+        capsule.bounds = new THREE.Box3();
+    }
+    capsule.bounds.min.copy(capsule.start).min(capsule.end).subScalar(capsule.radius);
+    capsule.bounds.max.copy(capsule.start).max(capsule.end).addScalar(capsule.radius);
+    return capsule.bounds;
 }
 
+// Finger capsules are too small and too many to keep out of the body
+const selfCollisionSkippedBones = /Thumb|Index|Middle|Ring|Pinky/;
+
 class CapsuleCollider {
     constructor(ybot, radiusMultiplier = 1.0) {
         this.ybot = ybot;
+        this.name = 'body';
         this.radiusMultiplier = radiusMultiplier;
         this.capsules = [];
         this.createBoneCapsules();
@@ -125,14 +302,16 @@ class CapsuleCollider {
                             // Calculate radius based on bone type and characteristics
                             const radius = this.calculateBoneRadius(bone, child, capsuleLength);
 
-                            this.capsules.push({
+                            const capsule = {
                                 start: start,
                                 end: end,
                                 radius: radius,
                                 length: capsuleLength,
                                 bone: bone,
                                 child: child
-                            });
+                            };
+                            updateCapsuleBounds(capsule);
+                            this.capsules.push(capsule);
 
                             console.log(`Capsule: ${bone.name} -> ${child.name}, full length: ${fullLength.toFixed(3)}, capsule length: ${capsuleLength.toFixed(3)}, radius: ${radius.toFixed(3)}`);
                         }
@@ -144,19 +323,88 @@ class CapsuleCollider {
         });
 
         console.log(`CapsuleCollider: Created ${this.capsules.length} collision capsules`);
+        this.setupSelfCollision();
     }
 
-    updateCapsules() {
+    // Decide which capsules must keep apart. Neighbours in the skeleton (sharing a
+    // bone) and capsules that already overlap as built, in the rest pose (such as
+    // the collarbones and the neck), may touch; so may the fingers.
+    setupSelfCollision() {
+        this.ignoredPairs = new Set();
+        this.capsules.forEach((capsule, index) => {
+            capsule.index = index;
+            capsule.selfCollides = !selfCollisionSkippedBones.test(capsule.bone.name);
+            capsule.ancestors = new Set(); // Bones whose rotation moves this capsule
+            for (let bone = capsule.bone; bone && bone.isBone; bone = bone.parent) {
+                capsule.ancestors.add(bone);
+            }
+        });
+
+        for (let i = 0; i < this.capsules.length; i++) {
+            for (let j = i + 1; j < this.capsules.length; j++) {
+                const a = this.capsules[i];
+                const b = this.capsules[j];
+                const neighbours = a.bone === b.bone || a.child === b.bone || b.child === a.bone;
+                if (neighbours || this.resolveCapsuleCollision(a, b)) {
+                    this.ignoredPairs.add(i * this.capsules.length + j);
+                }
+            }
+        }
+    }
+
+    canSelfCollide(a, b) {
+        if (!a.selfCollides || !b.selfCollides) return false;
+        const [first, second] = a.index < b.index ? [a, b] : [b, a];
+        return !this.ignoredPairs.has(first.index * this.capsules.length + second.index);
+    }
+
+    // Penetrating pairs of capsules that must keep apart, each as
+    // { capsuleA, capsuleB, normal (A to B), penetration, pointA, pointB } with the
+    // points on the capsule axes. With movedBy, only pairs where that bone's
+    // rotation moves one capsule and not the other.
+    findSelfContacts(movedBy = null) {
+        const capsules = this.capsules.filter(capsule => capsule.selfCollides);
+        let pairs;
+        let moved = capsules;
+        let others = capsules;
+        if (movedBy) {
+            moved = capsules.filter(capsule => capsule.ancestors.has(movedBy));
+            others = capsules.filter(capsule => !capsule.ancestors.has(movedBy));
+            pairs = sweepAndPrune(moved.map(capsule => capsule.bounds), others.map(capsule => capsule.bounds));
+        } else {
+            pairs = sweepAndPrune(capsules.map(capsule => capsule.bounds));
+        }
+
+        const contacts = [];
+        for (const [i, j] of pairs) {
+            const a = moved[i];
+            const b = others[j];
+            if (!this.canSelfCollide(a, b)) continue;
+
+            const collision = this.resolveCapsuleCollision(a, b);
+            if (collision) {
+                contacts.push(Object.assign({ capsuleA: a, capsuleB: b }, collision));
+            }
+        }
+        return contacts;
+    }
+
+    // With movedBy, only the capsules that bone moves, whose matrices the caller
+    // has just updated (as CustomIKSolver does after turning a joint)
+    updateCapsules(movedBy = null) {
         if (!this.ybot || !this.ybot.object3D) return;
 
         // Ensure world matrices are up to date
-        this.ybot.object3D.updateMatrixWorld(true);
+        if (!movedBy) {
+            this.ybot.object3D.updateMatrixWorld(true);
+        }
 
+        // Matrices are current, so read positions from them rather than through
+        // getWorldPosition(), which updates every parent again
         this.capsules.forEach(capsule => {
-            const boneWorldPos = new THREE.Vector3();
-            const childWorldPos = new THREE.Vector3();
-            capsule.bone.getWorldPosition(boneWorldPos);
-            capsule.child.getWorldPosition(childWorldPos);
+            if (movedBy && !capsule.ancestors.has(movedBy)) return;
+            const boneWorldPos = new THREE.Vector3().setFromMatrixPosition(capsule.bone.matrixWorld);
+            const childWorldPos = new THREE.Vector3().setFromMatrixPosition(capsule.child.matrixWorld);
 
             const direction = new THREE.Vector3().subVectors(childWorldPos, boneWorldPos);
             const fullLength = direction.length();
@@ -175,6 +423,7 @@ class CapsuleCollider {
                 capsule.start.copy(midpoint).addScaledVector(capsuleDirection, -halfCapsule);
                 capsule.end.copy(midpoint).addScaledVector(capsuleDirection, halfCapsule);
                 capsule.length = capsuleLength;
+                updateCapsuleBounds(capsule);
             }
         });
     }
@@ -185,10 +434,10 @@ class CapsuleCollider {
             return this.pointToCapsuleDistance(object, this.capsules[0]) <= this.capsules[0].radius;
         }
 
-        // For YBot object, capsule collision is handled separately
-        // (we don't want YBot colliding with its own capsules)
+        // Moving the whole YBot can't separate it from itself, so self-collision
+        // is solved inside the IK instead (see CustomIKSolver.selfCollision)
         if (object && object.bones) {
-            return false; // Don't collide YBot with its own capsules
+            return false;
         }
 
         return false;
@@ -229,6 +478,35 @@ class CapsuleCollider {
         return distance <= radius ? 0 : distance - radius;
     }
 
+    // Nearest capsule surface in the current pose, as for the scene colliders. skipCapsule
+    // leaves capsules out; null when none are left.
+    closestPoint(point, skipCapsule = null) {
+        let closest = null;
+        const axisPoint = new THREE.Vector3();
+        const segment = new THREE.Line3();
+
+        for (const capsule of this.capsules) {
+            if (skipCapsule && skipCapsule(capsule)) continue;
+            segment.set(capsule.start, capsule.end).closestPointToPoint(point, true, axisPoint);
+            const axisDistance = point.distanceTo(axisPoint);
+            const distance = axisDistance - capsule.radius;
+            if (closest && distance >= closest.distance) continue;
+
+            // On the axis itself any direction is out; take the one across the bone
+            const normal = axisDistance > 1e-9
+                ? new THREE.Vector3().subVectors(point, axisPoint).divideScalar(axisDistance)
+                : new THREE.Vector3(0, 1, 0).cross(segment.delta(new THREE.Vector3())).normalize();
+            if (normal.lengthSq() === 0) normal.set(1, 0, 0);
+            closest = {
+                point: axisPoint.clone().addScaledVector(normal, capsule.radius),
+                normal: normal,
+                distance: distance,
+                capsule: capsule
+            };
+        }
+        return closest;
+    }
+
     resolveCollision(object) {
         // Handle point collision (Vector3)
         if (object instanceof THREE.Vector3) {
@@ -295,34 +573,21 @@ class CapsuleCollider {
         return null;
     }
 
+    // The YBot against its own capsules: a manifold of every self-penetration,
+    // each contact pushing capsule out of other
     resolveYBotCollision(ybot) {
-        // Create capsules for YBot bones and check against environment capsules
-        let totalPush = new THREE.Vector3();
-        let collisionCount = 0;
-
-        // Create YBot capsules from its bone hierarchy
-        const ybotCapsules = this.createBoneCapsules(ybot.bones);
-
-        // Check capsule-to-capsule collisions
-        for (const ybotCapsule of ybotCapsules) {
-            for (const envCapsule of this.capsules) {
-                const collision = this.resolveCapsuleCollision(ybotCapsule, envCapsule);
-                if (collision) {
-                    totalPush.add(collision.normal.clone().multiplyScalar(collision.penetration));
-                    collisionCount++;
-                }
-            }
-        }
-
-        if (collisionCount > 0) {
-            totalPush.divideScalar(collisionCount);
-            return {
-                normal: totalPush.clone().normalize(),
-                penetration: totalPush.length()
-            };
-        }
-
-        return null;
+        if (ybot !== this.ybot) return null;
+
+        this.updateCapsules();
+        const contacts = this.findSelfContacts().map(contact => ({
+            point: contact.pointB,
+            normal: contact.normal.clone().negate(),
+            penetration: contact.penetration,
+            capsule: contact.capsuleA,
+            other: contact.capsuleB,
+            collider: this
+        }));
+        return contacts.length > 0 ? createContactManifold(contacts) : null;
     }
 
     resolveCapsuleCollision(capsuleA, capsuleB) {
@@ -369,28 +634,31 @@ class CapsuleCollider {
 
         return {
             normal: direction,
-            penetration: penetration
+            penetration: penetration,
+            pointA: pointA,
+            pointB: pointB
         };
     }
 
+    // Closest points between two segments, each given as a start, a unit direction
+    // and a length (Ericson, Real-Time Collision Detection 5.1.9)
     closestPointsBetweenLines(startA, dirA, lengthA, startB, dirB, lengthB) {
-        // Calculate closest points between two line segments
-        const diff = new THREE.Vector3().subVectors(startB, startA);
-
-        const a = dirA.dot(dirA); // Always 1 since normalized
+        const r = new THREE.Vector3().subVectors(startA, startB);
         const b = dirA.dot(dirB);
-        const c = dirB.dot(dirB); // Always 1 since normalized
-        const d = dirA.dot(diff);
-        const e = dirB.dot(diff);
-
-        let s = 0, t = 0;
-
-        if (a > 0.001 && c > 0.001) {
-            const denom = a * c - b * b;
-            if (Math.abs(denom) > 0.001) {
-                s = Math.max(0, Math.min(lengthA, (b * e - c * d) / denom));
-                t = Math.max(0, Math.min(lengthB, (a * e - b * d) / denom));
-            }
+        const c = dirA.dot(r);
+        const f = dirB.dot(r);
+        const denom = 1 - b * b; // Zero when the segments are parallel
+
+        let s = denom > 1e-9 ? Math.max(0, Math.min(lengthA, (b * f - c) / denom)) : 0;
+        let t = b * s + f;
+
+        // Clamp t onto B, then find the point on A closest to that
+        if (t < 0) {
+            t = 0;
+            s = Math.max(0, Math.min(lengthA, -c));
+        } else if (t > lengthB) {
+            t = lengthB;
+            s = Math.max(0, Math.min(lengthA, b * lengthB - c));
         }
 
         const pointA = new THREE.Vector3()
@@ -454,28 +722,26 @@ class CapsuleCollider {
 
 class FloorCollider {
     constructor(yLevel = 0) {
+        this.name = 'floor';
         this.yLevel = yLevel;
         this.normal = new THREE.Vector3(0, 1, 0); // Upward normal
-        this.radiusMultiplier = 1.0; // For capsule radius calculation
-        this.cachedCapsules = null;
-        this.lastCapsuleUpdate = 0;
-        this.capsuleUpdateInterval = 100; // Update cached capsules every 100ms
     }
 
-    checkCollision(ybot) {
+    // capsules are the YBot's own, which CollisionSystem has already moved to the
+    // current pose (see CollisionSystem.getCapsules); the floor keeps none of its own
+    checkCollision(ybot, capsules = []) {
         // Safety check - ensure YBot is properly initialized
         if (!ybot || !ybot.object3D) return false;
 
-        // Create YBot capsules and check collision with ground plane
-        const ybotCapsules = this.createBoneCapsules(ybot.bones);
-
-        for (const capsule of ybotCapsules) {
-            if (this.capsuleIntersectsGround(capsule)) {
-                return true;
-            }
-        }
+        return capsules.some(capsule => this.capsuleIntersectsGround(capsule));
+    }
 
-        return false;
+    closestPoint(point) {
+        return {
+            point: new THREE.Vector3(point.x, this.yLevel, point.z),
+            normal: this.normal.clone(),
+            distance: point.y - this.yLevel
+        };
     }
 
     capsuleIntersectsGround(capsule) {
@@ -489,51 +755,14 @@ class FloorCollider {
         return lowestY <= this.yLevel;
     }
 
-    resolveCollision(ybot) {
+    resolveCollision(ybot, capsules = []) {
         // Safety check - ensure YBot is properly initialized
         if (!ybot || !ybot.object3D) return null;
 
-        // Update cached capsules if needed
-        const now = Date.now();
-        if (!this.cachedCapsules || now - this.lastCapsuleUpdate > this.capsuleUpdateInterval) {
-            this.cachedCapsules = this.createBoneCapsules(ybot.bones);
-            this.lastCapsuleUpdate = now;
-        }
-
-        // Update capsule positions based on current bone positions
-        if (ybot.object3D) {
-            ybot.object3D.updateMatrixWorld(true);
-        }
-
-        // Update cached capsule positions
-        this.cachedCapsules.forEach(capsule => {
-            const boneWorldPos = new THREE.Vector3();
-            const childWorldPos = new THREE.Vector3();
-            capsule.boneA.getWorldPosition(boneWorldPos);
-            capsule.boneB.getWorldPosition(childWorldPos);
-
-            const direction = new THREE.Vector3().subVectors(childWorldPos, boneWorldPos);
-            const fullLength = direction.length();
-
-            if (fullLength > 0.001) {
-                const capsuleLength = fullLength * 0.8;
-                const halfCapsule = capsuleLength / 2;
-
-                const midpoint = new THREE.Vector3()
-                    .addVectors(boneWorldPos, childWorldPos)
-                    .multiplyScalar(0.5);
-
-                const capsuleDirection = direction.clone().normalize();
-                capsule.start.copy(midpoint).addScaledVector(capsuleDirection, -halfCapsule);
-                capsule.end.copy(midpoint).addScaledVector(capsuleDirection, halfCapsule);
-                capsule.length = capsuleLength;
-            }
-        });
-
         let maxPenetration = 0;
         let hasCollision = false;
 
-        for (const capsule of this.cachedCapsules) {
+        for (const capsule of capsules) {
             if (this.capsuleIntersectsGround(capsule)) {
                 const penetration = this.calculateCapsuleGroundPenetration(capsule);
                 if (penetration > maxPenetration) {
@@ -564,66 +793,490 @@ class FloorCollider {
 
         return Math.max(0, penetration);
     }
+}
 
-    createBoneCapsules(bones) {
-        const capsules = [];
+// Merge contacts into one push that separates them all, deepest first: a later
+// contact only adds what the push so far doesn't already cover along its normal.
+// Returns { normal, penetration, contacts }, the shape every collider resolves to.
+function createContactManifold(contacts) {
+    const sorted = contacts.slice().sort((a, b) => b.penetration - a.penetration);
+    const push = new THREE.Vector3();
+    for (const contact of sorted) {
+        const remaining = contact.penetration - push.dot(contact.normal);
+        if (remaining > 0) {
+            push.addScaledVector(contact.normal, remaining);
+        }
+    }
 
-        // Create a map of bones for quick lookup
-        const boneMap = new Map();
-        bones.forEach(bone => boneMap.set(bone.name, bone));
+    const penetration = push.length();
+    return {
+        normal: penetration > 0 ? push.divideScalar(penetration) : sorted[0].normal.clone(),
+        penetration: penetration,
+        contacts: contacts
+    };
+}
 
-        bones.forEach(bone => {
-            // Find child bones (bones this bone connects to)
-            const childBones = bone.children ? bone.children.filter(child => child.isBone) : [];
+// Golden-section search for the t in [0, 1] where f is smallest. f must be convex,
+// as the distance to a convex shape is along any straight line.
+function minimizeOnSegment(f, iterations = 24) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let low = 0;
+    let high = 1;
+    let a = high - ratio;
+    let b = low + ratio;
+    let fa = f(a);
+    let fb = f(b);
+
+    for (let i = 0; i < iterations; i++) {
+        if (fa <= fb) {
+            high = b;
+            b = a;
+            fb = fa;
+            a = high - ratio * (high - low);
+            fa = f(a);
+        } else {
+            low = a;
+            a = b;
+            fa = fb;
+            b = low + ratio * (high - low);
+            fb = f(b);
+        }
+    }
+    return (low + high) / 2;
+}
+
+// Static scene obstacles. Every shape sets bounds, its world-space box for the
+// broad phase, and implements closestPoint(point), giving the nearest surface
+// point, the outward normal there and the signed distance (negative inside).
+// The base class turns that into contacts with the YBot's bone capsules:
+// { point, normal, penetration, capsule, collider }, with point on the
+// obstacle's surface and normal pointing out of it.
+class EnvironmentCollider {
+    constructor(type) {
+        this.type = type;
+        this.name = type;
+    }
+
+    signedDistance(point) {
+        return this.closestPoint(point).distance;
+    }
+
+    // object is a YBot (with capsules from CollisionSystem.getCapsules) or a point.
+    // For a YBot this only asks whether a capsule's box reaches this collider's
+    // bounds; resolveCollision finds the actual contacts, if any.
+    checkCollision(object, capsules) {
+        if (object instanceof THREE.Vector3) {
+            return this.signedDistance(object) < 0;
+        }
+        return !!capsules && capsules.some(capsule => !capsule.bounds || capsule.bounds.intersectsBox(this.bounds));
+    }
 
-            childBones.forEach(child => {
-                const start = new THREE.Vector3();
-                const end = new THREE.Vector3();
+    resolveCollision(object, capsules) {
+        let contacts;
+        if (object instanceof THREE.Vector3) {
+            const closest = this.closestPoint(object);
+            contacts = closest.distance < 0
+                ? [{ point: closest.point, normal: closest.normal, penetration: -closest.distance, capsule: null, collider: this }]
+                : [];
+        } else {
+            contacts = this.collideCapsules(capsules || []);
+        }
+        return contacts.length > 0 ? createContactManifold(contacts) : null;
+    }
 
-                bone.getWorldPosition(start);
-                child.getWorldPosition(end);
+    collideCapsules(capsules) {
+        const contacts = [];
+        for (const capsule of capsules) {
+            const contact = this.collideCapsule(capsule);
+            if (contact) contacts.push(contact);
+        }
+        return contacts;
+    }
 
-                const length = start.distanceTo(end);
-                if (length > 0.001) { // Only create capsules for meaningful connections
-                    const radius = this.calculateBoneRadius(bone, child, length);
+    // For convex shapes: the deepest point of the capsule's axis decides the contact
+    collideCapsule(capsule) {
+        const axisPoint = new THREE.Vector3();
+        const t = minimizeOnSegment(t => this.signedDistance(axisPoint.lerpVectors(capsule.start, capsule.end, t)));
+        const closest = this.closestPoint(axisPoint.lerpVectors(capsule.start, capsule.end, t));
 
-                    capsules.push({
-                        start: start,
-                        end: end,
-                        radius: radius,
-                        length: length,
-                        boneA: bone,
-                        boneB: child
-                    });
+        const penetration = capsule.radius - closest.distance;
+        if (penetration <= 0) return null;
+        return { point: closest.point, normal: closest.normal, penetration: penetration, capsule: capsule, collider: this };
+    }
+
+    createMaterial() {
+        return new THREE.MeshLambertMaterial({ color: 0x8d8f9e });
+    }
+
+    // Shadows on, and a way back from the scene graph to the collider
+    finishMesh(mesh) {
+        mesh.traverse(child => {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        });
+        mesh.userData.collider = this;
+        return mesh;
+    }
+}
+
+class BoxCollider extends EnvironmentCollider {
+    constructor(position, size, rotation = new THREE.Euler()) {
+        super('box');
+        this.position = position.clone();
+        this.size = size.clone();
+        this.halfSize = size.clone().multiplyScalar(0.5);
+        this.quaternion = new THREE.Quaternion().setFromEuler(rotation);
+        this.inverseQuaternion = this.quaternion.clone().invert();
+        this.bounds = new THREE.Box3().setFromCenterAndSize(new THREE.Vector3(), this.size)
+            .applyMatrix4(new THREE.Matrix4().compose(this.position, this.quaternion, new THREE.Vector3(1, 1, 1)));
+    }
+
+    closestPoint(point) {
+        // Work in the box's own frame, where it spans -halfSize..halfSize
+        const local = point.clone().sub(this.position).applyQuaternion(this.inverseQuaternion);
+        const half = this.halfSize;
+        const surface = local.clone().clamp(half.clone().negate(), half);
+        const normal = new THREE.Vector3();
+        let distance = local.distanceTo(surface);
+
+        if (distance > 0) {
+            normal.subVectors(local, surface).divideScalar(distance);
+        } else {
+            // Inside: leave through the nearest face
+            let axis = 'x';
+            for (const other of ['y', 'z']) {
+                if (half[other] - Math.abs(local[other]) < half[axis] - Math.abs(local[axis])) {
+                    axis = other;
                 }
+            }
+            const side = local[axis] >= 0 ? 1 : -1;
+            distance = Math.abs(local[axis]) - half[axis];
+            surface[axis] = side * half[axis];
+            normal[axis] = side;
+        }
+
+        return {
+            point: surface.applyQuaternion(this.quaternion).add(this.position),
+            normal: normal.applyQuaternion(this.quaternion),
+            distance: distance
+        };
+    }
+
+    createMesh() {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(this.size.x, this.size.y, this.size.z), this.createMaterial());
+        mesh.position.copy(this.position);
+        mesh.quaternion.copy(this.quaternion);
+        return this.finishMesh(mesh);
+    }
+}
+
+class SphereCollider extends EnvironmentCollider {
+    constructor(position, radius) {
+        super('sphere');
+        this.position = position.clone();
+        this.radius = radius;
+        this.bounds = new THREE.Box3().setFromCenterAndSize(this.position, new THREE.Vector3(2, 2, 2).multiplyScalar(radius));
+    }
+
+    signedDistance(point) {
+        return point.distanceTo(this.position) - this.radius;
+    }
+
+    closestPoint(point) {
+        const normal = new THREE.Vector3().subVectors(point, this.position);
+        const length = normal.length();
+        if (length > 1e-9) {
+            normal.divideScalar(length);
+        } else {
+            normal.set(0, 1, 0); // At the centre any way out will do
+        }
+
+        return {
+            point: this.position.clone().addScaledVector(normal, this.radius),
+            normal: normal,
+            distance: length - this.radius
+        };
+    }
+
+    createMesh() {
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(this.radius, 24, 16), this.createMaterial());
+        mesh.position.copy(this.position);
+        return this.finishMesh(mesh);
+    }
+}
+
+// A capsule obstacle such as a pole or railing (CapsuleCollider is the YBot's own body)
+class StaticCapsuleCollider extends EnvironmentCollider {
+    constructor(start, end, radius) {
+        super('capsule');
+        this.segment = new THREE.Line3(start.clone(), end.clone());
+        this.radius = radius;
+        this.bounds = updateCapsuleBounds({ start: this.segment.start, end: this.segment.end, radius: radius }).clone();
+    }
+
+    signedDistance(point) {
+        return point.distanceTo(this.segment.closestPointToPoint(point, true, new THREE.Vector3())) - this.radius;
+    }
+
+    closestPoint(point) {
+        const axisPoint = this.segment.closestPointToPoint(point, true, new THREE.Vector3());
+        const normal = new THREE.Vector3().subVectors(point, axisPoint);
+        const length = normal.length();
+        if (length > 1e-9) {
+            normal.divideScalar(length);
+        } else {
+            // On the axis: push out sideways
+            const axis = this.segment.delta(new THREE.Vector3()).normalize();
+            normal.set(0, 1, 0).cross(axis);
+            if (normal.lengthSq() < 1e-9) normal.set(1, 0, 0);
+            normal.normalize();
+        }
+
+        return {
+            point: axisPoint.addScaledVector(normal, this.radius),
+            normal: normal,
+            distance: length - this.radius
+        };
+    }
+
+    createMesh() {
+        const group = new THREE.Group();
+        const material = this.createMaterial();
+        const length = this.segment.distance();
+
+        const cylinder = new THREE.Mesh(new THREE.CylinderGeometry(this.radius, this.radius, length, 24), material);
+        cylinder.position.copy(this.segment.getCenter(new THREE.Vector3()));
+        if (length > 1e-9) {
+            cylinder.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.segment.delta(new THREE.Vector3()).normalize());
+        }
+        group.add(cylinder);
+
+        for (const end of [this.segment.start, this.segment.end]) {
+            const cap = new THREE.Mesh(new THREE.SphereGeometry(this.radius, 24, 16), material);
+            cap.position.copy(end);
+            group.add(cap);
+        }
+        return this.finishMesh(group);
+    }
+}
+
+// Triangles of a static mesh in world space. The mesh is taken to be closed with
+// counter-clockwise faces seen from outside, so a point behind its nearest face is inside.
+const meshColliderLeafSize = 8; // Triangles per leaf of a MeshCollider's tree
+
+class MeshCollider extends EnvironmentCollider {
+    constructor(triangles) {
+        super('mesh');
+        this.triangles = [];
+
+        for (const triangle of triangles) {
+            if (triangle.getArea() < 1e-12) continue;
+            const center = triangle.getMidpoint(new THREE.Vector3());
+            this.triangles.push({
+                index: this.triangles.length,
+                triangle: triangle,
+                normal: triangle.getNormal(new THREE.Vector3()),
+                center: center,
+                radius: Math.max(center.distanceTo(triangle.a), center.distanceTo(triangle.b), center.distanceTo(triangle.c)),
+                bounds: new THREE.Box3().setFromPoints([triangle.a, triangle.b, triangle.c])
             });
+        }
+
+        // Queries walk the tree, so imported meshes with many triangles stay cheap
+        this.tree = this.buildTree(this.triangles);
+        this.bounds = this.tree.bounds;
+    }
+
+    // Bounding volume hierarchy: leaves are { bounds, reach, entries }, inner nodes
+    // { bounds, reach, children: [a, b] }, split across the middle of the longest side.
+    // reach is bounds grown by the largest triangle radius below, which any
+    // capsule box within that radius of a triangle's center overlaps.
+    buildTree(entries) {
+        const bounds = new THREE.Box3();
+        let radius = 0;
+        entries.forEach(entry => {
+            bounds.union(entry.bounds);
+            radius = Math.max(radius, entry.radius);
         });
+        const node = { bounds: bounds, reach: bounds.clone().expandByScalar(radius) };
+        if (entries.length <= meshColliderLeafSize) {
+            node.entries = entries;
+            return node;
+        }
 
-        return capsules;
+        const size = bounds.getSize(new THREE.Vector3());
+        const axis = size.x >= size.y && size.x >= size.z ? 'x' : size.y >= size.z ? 'y' : 'z';
+        const middle = (bounds.min[axis] + bounds.max[axis]) / 2;
+        let low = entries.filter(entry => entry.center[axis] < middle);
+        let high = entries.filter(entry => entry.center[axis] >= middle);
+        if (low.length === 0 || high.length === 0) {
+            // Centers all on one side (long thin triangles): halve the list instead
+            low = entries.slice(0, entries.length >> 1);
+            high = entries.slice(entries.length >> 1);
+        }
+        node.children = [this.buildTree(low), this.buildTree(high)];
+        return node;
     }
 
-    calculateBoneRadius(bone, child, length) {
-        const boneName = bone.name.toLowerCase();
-        let baseRadius;
+    // Triangles whose bounding spheres may reach box (such as a capsule's bounds),
+    // in their original order
+    findTriangles(box) {
+        const found = [];
+        const stack = [this.tree];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!node.reach.intersectsBox(box)) continue;
+            if (node.entries) {
+                found.push(...node.entries);
+            } else {
+                stack.push(...node.children);
+            }
+        }
+        return found.sort((a, b) => a.index - b.index);
+    }
 
-        // Different radius calculations based on bone type for capsules
-        if (boneName.includes('spine') || boneName.includes('neck') || boneName.includes('head')) {
-            // Torso bones - medium thickness
-            baseRadius = Math.max(0.03, length * 0.12);
-        } else if (boneName.includes('arm') || boneName.includes('forearm') || boneName.includes('hand')) {
-            // Arm bones - thinner
-            baseRadius = Math.max(0.02, length * 0.08);
-        } else if (boneName.includes('leg') || boneName.includes('upleg') || boneName.includes('foot')) {
-            // Leg bones - thicker for stability
-            baseRadius = Math.max(0.025, length * 0.15);
-        } else if (boneName.includes('shoulder')) {
-            // Shoulder bones - medium
-            baseRadius = Math.max(0.025, length * 0.10);
-        } else {
-            // Default for other bones
-            baseRadius = Math.max(0.02, length * 0.10);
+    // positions is a flat [x, y, z, ...] list; indices (optional) take three per triangle
+    static fromArrays(positions, indices, matrix) {
+        return new MeshCollider(MeshCollider.trianglesFromArrays(positions, indices, matrix));
+    }
+
+    static trianglesFromArrays(positions, indices, matrix) {
+        const vertices = [];
+        for (let i = 0; i < positions.length; i += 3) {
+            const vertex = new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]);
+            vertices.push(matrix ? vertex.applyMatrix4(matrix) : vertex);
         }
 
-        return baseRadius * this.radiusMultiplier;
+        const order = indices || vertices.map((vertex, index) => index);
+        const triangles = [];
+        for (let i = 0; i + 2 < order.length; i += 3) {
+            triangles.push(new THREE.Triangle(vertices[order[i]], vertices[order[i + 1]], vertices[order[i + 2]]));
+        }
+        return triangles;
+    }
+
+    // Every mesh under an imported object, e.g. a loaded FBX
+    static fromObject3D(object) {
+        object.updateMatrixWorld(true);
+        const triangles = [];
+        object.traverse(child => {
+            if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+            const positions = child.geometry.attributes.position.array;
+            const indices = child.geometry.index ? child.geometry.index.array : null;
+            // A loop, not push(...): spreading a big mesh overflows the call stack
+            for (const triangle of MeshCollider.trianglesFromArrays(positions, indices, child.matrixWorld)) {
+                triangles.push(triangle);
+            }
+        });
+        return new MeshCollider(triangles);
     }
-}
\ No newline at end of file
+
+    closestPoint(point) {
+        const surface = new THREE.Vector3();
+        let best = null;
+        let bestDistance = Infinity;
+
+        // Nearer boxes first; a box further away than the best triangle so far can't beat it
+        const stack = [this.tree];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.bounds.distanceToPoint(point) > bestDistance) continue;
+
+            if (node.children) {
+                const [a, b] = node.children;
+                stack.push(...(a.bounds.distanceToPoint(point) < b.bounds.distanceToPoint(point) ? [b, a] : [a, b]));
+                continue;
+            }
+            for (const entry of node.entries) {
+                entry.triangle.closestPointToPoint(point, surface);
+                const distance = point.distanceTo(surface);
+                if (distance < bestDistance || (distance === bestDistance && entry.index < best.entry.index)) {
+                    bestDistance = distance;
+                    best = { point: surface.clone(), entry: entry };
+                }
+            }
+        }
+
+        if (!best) {
+            return { point: point.clone(), normal: new THREE.Vector3(0, 1, 0), distance: Infinity };
+        }
+
+        const offset = new THREE.Vector3().subVectors(point, best.point);
+        const inside = offset.dot(best.entry.normal) < 0;
+        return {
+            point: best.point,
+            normal: bestDistance > 1e-9 && !inside ? offset.divideScalar(bestDistance) : best.entry.normal.clone(),
+            distance: inside ? -bestDistance : bestDistance
+        };
+    }
+
+    // A mesh isn't convex, so each nearby triangle is searched on its own. The
+    // deepest face the capsule touches or crosses wins; a capsule wholly inside
+    // leaves through the nearest face it lies behind. Being behind a face only
+    // means inside for a convex mesh: under a table top the capsule is behind the
+    // top face too, so the axis point is checked against the whole mesh first.
+    collideCapsule(capsule) {
+        const capsuleBounds = capsule.bounds || updateCapsuleBounds({ start: capsule.start, end: capsule.end, radius: capsule.radius });
+        if (!capsuleBounds.intersectsBox(this.bounds)) return null;
+
+        const segment = new THREE.Line3(capsule.start, capsule.end);
+        const axisPoint = new THREE.Vector3();
+        const surface = new THREE.Vector3();
+        let touching = null;
+        let behind = null;
+        let behindAxisPoint = null;
+
+        for (const entry of this.findTriangles(capsuleBounds)) {
+            segment.closestPointToPoint(entry.center, true, axisPoint);
+            if (axisPoint.distanceTo(entry.center) > entry.radius + capsule.radius) continue;
+
+            const t = minimizeOnSegment(t => entry.triangle.closestPointToPoint(segment.at(t, axisPoint), surface).distanceTo(axisPoint));
+            segment.at(t, axisPoint);
+            entry.triangle.closestPointToPoint(axisPoint, surface);
+
+            const offset = new THREE.Vector3().subVectors(axisPoint, surface);
+            const distance = offset.length();
+            const contact = { point: surface.clone(), normal: null, penetration: 0, capsule: capsule, collider: this };
+
+            if (distance > 1e-6 && offset.dot(entry.normal) > -distance * 0.999) {
+                // Beside the face or in front of it
+                contact.normal = offset.divideScalar(distance);
+                contact.penetration = capsule.radius - distance;
+            } else {
+                // The axis crosses the face or lies straight behind it: push out
+                // along the face normal far enough to clear its deepest end
+                contact.normal = entry.normal.clone();
+                contact.penetration = capsule.radius + Math.max(distance,
+                    -entry.normal.dot(new THREE.Vector3().subVectors(capsule.start, surface)),
+                    -entry.normal.dot(new THREE.Vector3().subVectors(capsule.end, surface)));
+
+                if (distance > 1e-6) {
+                    if (!behind || contact.penetration < behind.penetration) {
+                        behind = contact;
+                        behindAxisPoint = axisPoint.clone();
+                    }
+                    continue;
+                }
+            }
+
+            if (contact.penetration > 0 && (!touching || contact.penetration > touching.penetration)) {
+                touching = contact;
+            }
+        }
+        if (touching) return touching;
+        return behind && this.closestPoint(behindAxisPoint).distance < 0 ? behind : null;
+    }
+
+    createMesh() {
+        const positions = [];
+        for (const entry of this.triangles) {
+            for (const vertex of [entry.triangle.a, entry.triangle.b, entry.triangle.c]) {
+                positions.push(vertex.x, vertex.y, vertex.z);
+            }
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.computeVertexNormals();
+        return this.finishMesh(new THREE.Mesh(geometry, this.createMaterial()));
+    }
+}
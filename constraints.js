@@ -0,0 +1,116 @@
+// constraints.js - Joint angle limits for IK chains
+
+// Limits per mixamorig bone, in degrees, measured from the bone's rest (bind)
+// pose in the bone's own local space. Mixamo bones point +Y toward their child.
+//   hinge: rotation only about `axis`, between `min` and `max`
+//   cone:  +Y may swing up to `swing` away from rest, twist about +Y between `twistMin` and `twistMax`
+// Override per rig with `new YBot({ jointConstraints })` or `ybotInstance.setJointConstraints()`.
+const defaultJointConstraints = {
+    // Spine and head
+    mixamorigSpine: { type: 'cone', swing: 30, twistMin: -30, twistMax: 30 },
+    mixamorigSpine1: { type: 'cone', swing: 20, twistMin: -20, twistMax: 20 },
+    mixamorigNeck: { type: 'cone', swing: 40, twistMin: -50, twistMax: 50 },
+    mixamorigHead: { type: 'cone', swing: 35, twistMin: -40, twistMax: 40 },
+
+    // Arms - elbows flex forward from the T-pose, so the hinge axes are mirrored
+    mixamorigLeftShoulder: { type: 'cone', swing: 25, twistMin: -10, twistMax: 10 },
+    mixamorigLeftArm: { type: 'cone', swing: 110, twistMin: -90, twistMax: 90 },
+    mixamorigLeftForeArm: { type: 'hinge', axis: [0, 0, 1], min: 0, max: 150 },
+    // Hand twist also covers forearm roll, which the elbow hinge can't express
+    mixamorigLeftHand: { type: 'cone', swing: 70, twistMin: -100, twistMax: 100 },
+    mixamorigRightShoulder: { type: 'cone', swing: 25, twistMin: -10, twistMax: 10 },
+    mixamorigRightArm: { type: 'cone', swing: 110, twistMin: -90, twistMax: 90 },
+    mixamorigRightForeArm: { type: 'hinge', axis: [0, 0, -1], min: 0, max: 150 },
+    mixamorigRightHand: { type: 'cone', swing: 70, twistMin: -100, twistMax: 100 },
+
+    // Legs - knees flex backward about the bone's -X axis
+    mixamorigLeftUpLeg: { type: 'cone', swing: 100, twistMin: -45, twistMax: 45 },
+    mixamorigLeftLeg: { type: 'hinge', axis: [-1, 0, 0], min: 0, max: 150 },
+    mixamorigLeftFoot: { type: 'cone', swing: 40, twistMin: -20, twistMax: 20 },
+    mixamorigRightUpLeg: { type: 'cone', swing: 100, twistMin: -45, twistMax: 45 },
+    mixamorigRightLeg: { type: 'hinge', axis: [-1, 0, 0], min: 0, max: 150 },
+    mixamorigRightFoot: { type: 'cone', swing: 40, twistMin: -20, twistMax: 20 }
+};
+
+// Clamp a bone's local rotation to its constraint. Returns true if the bone was changed.
+function applyJointConstraint(bone, constraint, restQuaternion) {
+    if (!constraint || !restQuaternion) return false;
+
+    // Rotation away from the rest pose, expressed in the bone's rest frame
+    const delta = restQuaternion.clone().invert().multiply(bone.quaternion);
+    if (delta.w < 0) {
+        // Keep the short-arc representation so decomposed angles stay in [-PI, PI]
+        delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+    }
+
+    let clamped;
+    if (constraint.type === 'hinge') {
+        clamped = clampHingeRotation(delta, constraint);
+    } else if (constraint.type === 'cone') {
+        clamped = clampConeRotation(delta, constraint);
+    } else {
+        console.warn(`Unknown joint constraint type for ${bone.name}: ${constraint.type}`);
+        return false;
+    }
+
+    if (clamped.angleTo(delta) < 1e-6) return false;
+
+    bone.quaternion.copy(restQuaternion).multiply(clamped);
+    return true;
+}
+
+// Split a rotation into twist about `axis` and the remaining swing (q = swing * twist)
+function decomposeSwingTwist(rotation, axis) {
+    const projection = axis.dot(new THREE.Vector3(rotation.x, rotation.y, rotation.z));
+    const twist = new THREE.Quaternion(axis.x * projection, axis.y * projection, axis.z * projection, rotation.w);
+
+    if (twist.lengthSq() < 1e-12) {
+        // 180 degree swing - twist is undefined, treat it as none
+        twist.identity();
+    } else {
+        twist.normalize();
+    }
+
+    const swing = rotation.clone().multiply(twist.clone().invert());
+    const twistAngle = 2 * Math.atan2(projection, rotation.w);
+
+    return { swing, twist, twistAngle };
+}
+
+function clampHingeRotation(delta, constraint) {
+    const axis = new THREE.Vector3().fromArray(constraint.axis).normalize();
+
+    // Only the twist about the hinge axis survives; any swing is discarded
+    const { twistAngle } = decomposeSwingTwist(delta, axis);
+    const angle = THREE.MathUtils.clamp(
+        twistAngle,
+        THREE.MathUtils.degToRad(constraint.min),
+        THREE.MathUtils.degToRad(constraint.max)
+    );
+
+    return new THREE.Quaternion().setFromAxisAngle(axis, angle);
+}
+
+function clampConeRotation(delta, constraint) {
+    const boneAxis = new THREE.Vector3(0, 1, 0);
+    const { swing, twistAngle } = decomposeSwingTwist(delta, boneAxis);
+
+    const twistAngleClamped = THREE.MathUtils.clamp(
+        twistAngle,
+        THREE.MathUtils.degToRad(constraint.twistMin),
+        THREE.MathUtils.degToRad(constraint.twistMax)
+    );
+    const twist = new THREE.Quaternion().setFromAxisAngle(boneAxis, twistAngleClamped);
+
+    // Limit how far the bone axis may swing away from its rest direction
+    const maxSwing = THREE.MathUtils.degToRad(constraint.swing);
+    const swingAngle = 2 * Math.acos(THREE.MathUtils.clamp(Math.abs(swing.w), -1, 1));
+    if (swingAngle > maxSwing) {
+        const swingAxis = new THREE.Vector3(swing.x, swing.y, swing.z);
+        if (swing.w < 0) swingAxis.negate();
+        swingAxis.normalize();
+        swing.setFromAxisAngle(swingAxis, maxSwing);
+    }
+
+    return swing.multiply(twist);
+}
@@ -1,41 +1,106 @@
-from http.server import HTTPServer, SimpleHTTPRequestHandler
+from http.server import ThreadingHTTPServer, SimpleHTTPRequestHandler
 import os
 import json
+import urllib.request
+import urllib.error
+
+
+CONFIG_PATH = os.path.join(os.path.dirname(__file__), 'local_config.json')
+
+# Upstreams for the /api/llm/<provider> proxy. Keys (key_name) and upstream URLs
+# (<PROVIDER>_PROXY_URL, e.g. OPENAI_PROXY_URL=http://127.0.0.1:9000/v1/chat/completions
+# to test against a stub server) come from the environment or local_config.json.
+LLM_PROXY_PROVIDERS = {
+    'openai': {
+        'url': 'https://api.openai.com/v1/chat/completions',
+        'key_name': 'OPENAI_API_KEY',
+        'key_header': 'Authorization',
+        'key_prefix': 'Bearer '
+    },
+    'anthropic': {
+        'url': 'https://api.anthropic.com/v1/messages',
+        'key_name': 'ANTHROPIC_API_KEY',
+        'key_header': 'x-api-key',
+        'key_prefix': '',
+        'headers': {'anthropic-version': '2023-06-01'}
+    },
+    'together': {
+        'url': 'https://api.together.xyz/v1/chat/completions',
+        'key_name': 'TOGETHER_API_KEY',
+        'key_header': 'Authorization',
+        'key_prefix': 'Bearer '
+    },
+    'ollama': {'url': 'http://localhost:11434/api/chat'},
+    'lmstudio': {'url': 'http://localhost:1234/v1/chat/completions'}
+}
+LLM_PROXY_TIMEOUT = 300  # Seconds without data from the upstream; local models can be slow
+
+# Never served as static files: they hold the keys the proxy adds
+PRIVATE_FILES = {'local_config.json', 'cors_server.py'}
+
+
+def load_config_value(name):
+    # Environment first (like Netlify), then local_config.json for development
+    value = os.environ.get(name)
+    if value:
+        return value
+    if os.path.exists(CONFIG_PATH):
+        try:
+            with open(CONFIG_PATH, 'r') as f:
+                return json.load(f).get(name)
+        except Exception as e:
+            print(f"Error loading local config: {e}")
+    return None
 
 
 class CORSRequestHandler(SimpleHTTPRequestHandler):
     def __init__(self, *args, **kwargs):
         # Load encryption key from environment (like Netlify) or local config
-        self.encryption_key = os.environ.get('VITE_ENCRYPTION_KEY')
-        if not self.encryption_key:
-            # Fallback to local config file for development
-            config_path = os.path.join(os.path.dirname(__file__), 'local_config.json')
-            if os.path.exists(config_path):
-                try:
-                    with open(config_path, 'r') as f:
-                        config = json.load(f)
-                        self.encryption_key = config.get('VITE_ENCRYPTION_KEY')
-                except Exception as e:
-                    print(f"Error loading local config: {e}")
-                    self.encryption_key = None
-            else:
-                self.encryption_key = None
-
+        self.encryption_key = load_config_value('VITE_ENCRYPTION_KEY')
         super().__init__(*args, **kwargs)
 
+    def is_api_request(self):
+        return self.path.startswith('/api/')
+
     def end_headers(self):
-        self.send_header('Access-Control-Allow-Origin', '*')
-        self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
-        self.send_header('Access-Control-Allow-Headers', 'Origin, Content-Type, Accept, Range')
+        # The /api/ endpoints hand out keys or spend them, so only the page this
+        # server serves may use them: no CORS headers there
+        if not self.is_api_request():
+            self.send_header('Access-Control-Allow-Origin', '*')
+            self.send_header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+            self.send_header('Access-Control-Allow-Headers', 'Origin, Content-Type, Accept, Range')
         self.send_header('Cross-Origin-Opener-Policy', 'same-origin')
         self.send_header('Cross-Origin-Embedder-Policy', 'require-corp')
         super().end_headers()
 
     def do_OPTIONS(self):
+        if self.is_api_request():
+            self.send_error(403, "Cross-origin requests to /api/ are not allowed")
+            return
         self.send_response(200, "ok")
         self.end_headers()
 
+    def is_same_origin(self):
+        # Host guards against DNS rebinding (evil.example resolving to 127.0.0.1),
+        # Origin against other sites' pages posting here
+        port = self.server.server_address[1]
+        own_hosts = {f"127.0.0.1:{port}", f"localhost:{port}"}
+        if self.headers.get('Host') not in own_hosts:
+            return False
+        origin = self.headers.get('Origin')
+        return origin is None or origin in {f"http://{host}" for host in own_hosts}
+
+    def is_private_file(self):
+        # Config files with keys, and dotfiles/dot-directories such as .env and .git
+        relative = os.path.relpath(self.translate_path(self.path), self.directory)
+        parts = relative.split(os.sep)
+        return parts[-1] in PRIVATE_FILES or any(part.startswith('.') and part not in ('.', '..') for part in parts)
+
     def do_GET(self):
+        if self.is_api_request() and not self.is_same_origin():
+            self.send_error(403, "Only the page served from this server may use /api/")
+            return
+
         if self.path == '/api/encryption-key':
             # Serve encryption key like Netlify environment variable
             if self.encryption_key:
@@ -49,17 +114,100 @@ class CORSRequestHandler(SimpleHTTPRequestHandler):
                 self.wfile.write(b'Encryption key not configured')
             return
 
+        if self.is_private_file():
+            self.send_error(404, "File not found")
+            return
+
         # Default file serving
         super().do_GET()
 
+    def do_HEAD(self):
+        if self.is_api_request() or self.is_private_file():
+            self.send_error(404, "File not found")
+            return
+        super().do_HEAD()
+
+    def do_POST(self):
+        if self.path.startswith('/api/llm/'):
+            self.proxy_llm_request(self.path[len('/api/llm/'):])
+            return
+
+        self.send_error(501, "Unsupported method ('POST')")
+
+    def send_json_error(self, status, message):
+        # Same shape as the providers' own errors, so the page reports it the same way
+        self.send_response(status)
+        self.send_header('Content-Type', 'application/json')
+        self.end_headers()
+        self.wfile.write(json.dumps({'error': {'message': message}}).encode('utf-8'))
+
+    def proxy_llm_request(self, provider_id):
+        if not self.is_same_origin():
+            self.send_json_error(403, "Only the page served from this server may use the LLM proxy")
+            return
+        # A form post (text/plain etc.) skips the CORS preflight; JSON can't
+        if self.headers.get_content_type() != 'application/json':
+            self.send_json_error(415, "LLM proxy requests must be application/json")
+            return
+
+        provider = LLM_PROXY_PROVIDERS.get(provider_id)
+        if not provider:
+            self.send_json_error(404, f"Unknown LLM provider: {provider_id}")
+            return
+
+        body = self.rfile.read(int(self.headers.get('Content-Length', 0)))
+        url = load_config_value(f"{provider_id.upper()}_PROXY_URL") or provider['url']
+        headers = {'Content-Type': 'application/json'}
+        headers.update(provider.get('headers', {}))
+        if 'key_name' in provider:
+            key = load_config_value(provider['key_name'])
+            if not key:
+                self.send_json_error(401, f"{provider['key_name']} not configured on the proxy")
+                return
+            headers[provider['key_header']] = provider['key_prefix'] + key
+
+        try:
+            upstream = urllib.request.urlopen(urllib.request.Request(url, data=body, headers=headers, method='POST'), timeout=LLM_PROXY_TIMEOUT)
+        except urllib.error.HTTPError as e:
+            upstream = e  # Forward the provider's error status and body as they are
+        except (urllib.error.URLError, OSError) as e:
+            print(f"LLM proxy: {provider_id} unreachable at {url}: {e}")
+            self.send_json_error(502, f"{provider_id} unreachable from the proxy")
+            return
+
+        print(f"LLM proxy: {provider_id} -> {url} ({upstream.getcode()})")
+        with upstream:
+            self.send_response(upstream.getcode())
+            for name in ('Content-Type', 'Retry-After'):
+                if upstream.headers.get(name):
+                    self.send_header(name, upstream.headers.get(name))
+            self.end_headers()
+
+            # Pass chunks on as they arrive so streamed replies stay streamed;
+            # the response ends when the connection closes
+            read = getattr(upstream, 'read1', upstream.read)
+            try:
+                while True:
+                    chunk = read(8192)
+                    if not chunk:
+                        break
+                    self.wfile.write(chunk)
+                    self.wfile.flush()
+            except (BrokenPipeError, ConnectionResetError):
+                print(f"LLM proxy: {provider_id} request cancelled by the page")
+
 
 if __name__ == '__main__':
-    port = 8000
-    print(f"Serving HTTP with CORS at http://127.0.0.1:{port}/ (Press CTRL+C to quit)")
+    # PORT=0 picks a free port (the tests do)
+    server = ThreadingHTTPServer(('127.0.0.1', int(os.environ.get('PORT', 8000))), CORSRequestHandler)
+    port = server.server_address[1]
+    print(f"Serving HTTP with CORS at http://127.0.0.1:{port}/ (Press CTRL+C to quit)", flush=True)
     if not os.environ.get('VITE_ENCRYPTION_KEY'):
-        config_path = os.path.join(os.path.dirname(__file__), 'local_config.json')
-        if os.path.exists(config_path):
+        if os.path.exists(CONFIG_PATH):
             print("Using local config for VITE_ENCRYPTION_KEY")
         else:
             print("Warning: VITE_ENCRYPTION_KEY not set. Create local_config.json or set environment variable.")
-    HTTPServer(('127.0.0.1', port), CORSRequestHandler).serve_forever()
\ No newline at end of file
+    proxied = [provider_id for provider_id, provider in LLM_PROXY_PROVIDERS.items() if 'key_name' not in provider or load_config_value(provider['key_name'])]
+    print(f"LLM proxy at /api/llm/<provider> for: {', '.join(proxied)}", flush=True)
+    # Threaded so a long streamed LLM reply doesn't hold up page requests
+    server.serve_forever()
@@ -0,0 +1,404 @@
+// grammar.js - Offline rule-based parser from plain English to a version 1 pose
+
+// Understands commands such as "left hand up high", "both arms out to the sides",
+// "step right foot forward 20 cm", "look down and to the left", "crouch a bit",
+// "turn around" or "walk forward 2 meters", joined with "and", "then" or commas.
+// Needs no model or network, so it works with no LLM provider configured.
+
+// Words that name what a clause moves. Nouns win over verbs ("move the left
+// hand" moves the hand, not the whole robot).
+const grammarPartWords = {
+    hand: ['hand', 'hands', 'arm', 'arms', 'wrist', 'wrists', 'fist', 'fists', 'palm', 'palms', 'finger', 'fingers'],
+    foot: ['foot', 'feet', 'leg', 'legs', 'knee', 'knees', 'toe', 'toes', 'ankle', 'ankles'],
+    head: ['head', 'chin', 'neck', 'eyes'],
+    hips: ['hips', 'hip', 'waist', 'pelvis']
+};
+const grammarPartVerbs = {
+    head: ['look', 'looks', 'looking', 'gaze', 'glance', 'tilt', 'tilts', 'tilting', 'cock'],
+    hips: ['crouch', 'crouching', 'squat', 'squatting', 'duck', 'ducking', 'kneel'],
+    root: ['turn', 'turns', 'turning', 'rotate', 'spin', 'face', 'facing', 'walk', 'walks', 'walking',
+        'go', 'move', 'moves', 'step', 'steps', 'stepping', 'around']
+};
+const grammarPluralParts = ['hands', 'arms', 'wrists', 'fists', 'palms', 'fingers', 'feet', 'legs', 'knees', 'toes', 'ankles'];
+
+const grammarDirectionWords = {
+    up: ['up', 'upward', 'upwards', 'raise', 'raised', 'raising', 'lift', 'lifted', 'high', 'higher', 'above', 'overhead', 'air', 'sky', 'ceiling'],
+    down: ['down', 'downward', 'downwards', 'lower', 'lowered', 'drop', 'low', 'floor', 'ground'],
+    forward: ['forward', 'forwards', 'front', 'ahead'],
+    back: ['back', 'backward', 'backwards', 'behind'],
+    out: ['out', 'outward', 'outwards', 'side', 'sides', 'apart', 'wide', 'spread', 'open', 'sideways'],
+    in: ['in', 'inward', 'inwards', 'together', 'close', 'center', 'centre', 'middle', 'across']
+};
+// "in" before these is a preposition ("hands in the air", "in front"), not "inward"
+const grammarPrepositionFollowers = ['the', 'your', 'my', 'his', 'her', 'their', 'front', 'air'];
+
+// Magnitude words scale the default distance or angle
+const grammarMagnitudeWords = {
+    slightly: 0.5, bit: 0.5, little: 0.5, tad: 0.5, somewhat: 0.5, half: 0.5, halfway: 0.5, partly: 0.5,
+    high: 1.5, far: 1.5, fully: 1.5, full: 1.5, way: 1.5, very: 1.5, completely: 1.5, deep: 1.5, deeply: 1.5, straight: 1.5
+};
+
+const grammarNumberWords = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    fifteen: 15, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, ninety: 90, hundred: 100
+};
+const grammarUnits = {
+    mm: 0.001, millimeter: 0.001, millimeters: 0.001,
+    cm: 0.01, centimeter: 0.01, centimeters: 0.01, centimetre: 0.01, centimetres: 0.01,
+    m: 1, meter: 1, meters: 1, metre: 1, metres: 1,
+    deg: 'angle', degree: 'angle', degrees: 'angle'
+};
+
+// Whole-pose keywords, used when a clause names no body part
+const grammarPresetWords = {
+    wave: 'wave', waving: 'wave', hello: 'wave', hi: 'wave', greet: 'wave',
+    point: 'point', pointing: 'point',
+    dance: 'dance', dancing: 'dance',
+    relax: 'idle', relaxed: 'idle', idle: 'idle', rest: 'idle', neutral: 'idle', reset: 'idle', stand: 'idle'
+};
+
+// Standing reference geometry in character space (matches poseSchemaPrompt)
+const grammarBody = {
+    shoulder: [0.19, 1.44, -0.06],
+    armReach: 0.55,
+    hangingHand: [0.2, 0.9, 0],
+    standingFoot: [0.1, 0.12, 0.05],
+    handsTogether: [0.05, 1.15, 0.35]
+};
+
+// Lowercase words with numbers split from their units ("20cm" -> "20 cm")
+function tokenizePoseClause(clause) {
+    return clause
+        .toLowerCase()
+        .replace(/°/g, ' degrees')
+        .replace(/(\d)([a-z])/g, '$1 $2')
+        .replace(/[^a-z0-9.\s-]/g, ' ')
+        .replace(/-/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && word !== '.');
+}
+
+// What one clause asks for: { part, partPriority, plural, side, directions, tilt, scale, distance, angle, preset, words }
+function analyzePoseClause(words) {
+    const clause = { part: null, partPriority: 0, plural: false, side: null, directions: [], tilt: false, scale: 1, distance: null, angle: null, preset: null, words: words };
+    let partIndex = -1;
+
+    words.forEach((word, index) => {
+        for (const [part, list] of Object.entries(grammarPartWords)) {
+            if (list.includes(word) && clause.partPriority < 3) {
+                clause.part = part;
+                clause.partPriority = 3;
+                clause.plural = grammarPluralParts.includes(word);
+                partIndex = index;
+            }
+        }
+        for (const [part, list] of Object.entries(grammarPartVerbs)) {
+            const priority = part === 'root' ? 1 : 2;
+            if (list.includes(word) && clause.partPriority < priority) {
+                clause.part = part;
+                clause.partPriority = priority;
+            }
+        }
+        if (['tilt', 'tilts', 'tilting', 'cock'].includes(word)) {
+            clause.tilt = true;
+        }
+        if (grammarPresetWords[word]) {
+            clause.preset = grammarPresetWords[word];
+        }
+    });
+
+    words.forEach((word, index) => {
+        // For hands and feet a side before the noun picks the limb; anywhere else it's a direction
+        if (word === 'left' || word === 'right') {
+            const limb = clause.part === 'hand' || clause.part === 'foot';
+            if (limb && clause.side === null && index < partIndex) {
+                clause.side = word;
+            } else {
+                clause.directions.push(word);
+            }
+        } else if (word === 'both' || word === 'each') {
+            clause.side = 'both';
+        }
+
+        const preposition = word === 'in' && grammarPrepositionFollowers.includes(words[index + 1]);
+        for (const [direction, list] of Object.entries(grammarDirectionWords)) {
+            if (list.includes(word) && !preposition && !clause.directions.includes(direction)) {
+                clause.directions.push(direction);
+            }
+        }
+        if (grammarMagnitudeWords[word]) {
+            clause.scale = grammarMagnitudeWords[word];
+        }
+
+        const number = /^\d+(\.\d+)?$/.test(word) ? parseFloat(word) : grammarNumberWords[word];
+        if (number !== undefined) {
+            const unit = grammarUnits[words[index + 1]];
+            if (unit === 'angle') {
+                clause.angle = number;
+            } else if (unit) {
+                clause.distance = number * unit;
+            } else if (clause.part === 'head' || (clause.part === 'root' && /^(turn|rotate|spin|face)/.test(words.join(' ')))) {
+                clause.angle = number;
+            } else {
+                clause.distance = number > 3 ? number / 100 : number; // Bare "20" means centimeters
+            }
+        }
+    });
+
+    // "out in front" is forward, not to the sides or together
+    if (words.includes('front')) {
+        clause.directions = clause.directions.filter(direction => direction !== 'out' && direction !== 'in');
+    }
+    if (clause.part === 'hand' || clause.part === 'foot') {
+        if (clause.side === null) {
+            clause.side = clause.plural ? 'both' : 'right';
+        }
+    }
+    return clause;
+}
+
+function grammarVector(values) {
+    return new THREE.Vector3().fromArray(values);
+}
+
+// Unit-ish direction in character space; sign is +1 for the left limb, -1 for the right
+function grammarDirectionVector(directions, sign) {
+    const vector = new THREE.Vector3();
+    for (const direction of directions) {
+        if (direction === 'up') vector.y += 1;
+        if (direction === 'down') vector.y -= 1;
+        if (direction === 'forward') vector.z += 1;
+        if (direction === 'back') vector.z -= 1;
+        if (direction === 'out') vector.x += sign;
+        if (direction === 'left') vector.x += 1;
+        if (direction === 'right') vector.x -= 1;
+    }
+    return vector;
+}
+
+function applyHandClause(clause, basePose, pose, sign) {
+    const chain = sign > 0 ? 'leftHand' : 'rightHand';
+    const current = grammarVector(pose[chain] || basePose[chain] || [grammarBody.hangingHand[0] * sign, grammarBody.hangingHand[1], grammarBody.hangingHand[2]]);
+
+    if (clause.directions.includes('in')) {
+        const together = grammarVector([grammarBody.handsTogether[0] * sign, grammarBody.handsTogether[1], grammarBody.handsTogether[2]]);
+        together.y += grammarDirectionVector(clause.directions, sign).y * 0.3;
+        pose[chain] = roundPoseArray(current.lerp(together, Math.min(1, clause.scale)).toArray(), 3);
+        return true;
+    }
+
+    const direction = grammarDirectionVector(clause.directions, sign);
+    if (direction.lengthSq() === 0) return false;
+    direction.normalize();
+
+    if (clause.distance !== null) {
+        // "raise the left hand 20 cm" moves it from where it is
+        pose[chain] = roundPoseArray(current.addScaledVector(direction, clause.distance).toArray(), 3);
+        return true;
+    }
+
+    // Otherwise point the arm that way: nearly straight, fully straight for "high",
+    // and only part of the way there from where it is for "a bit"
+    const shoulder = grammarVector([grammarBody.shoulder[0] * sign, grammarBody.shoulder[1], grammarBody.shoulder[2]]);
+    const extension = clause.scale > 1 ? 1 : 0.9;
+    const goal = shoulder.addScaledVector(direction, grammarBody.armReach * extension);
+    if (clause.scale < 1) {
+        goal.lerpVectors(current, goal, clause.scale * 0.7);
+    }
+    pose[chain] = roundPoseArray(goal.toArray(), 3);
+    return true;
+}
+
+function applyFootClause(clause, basePose, pose, sign) {
+    const chain = sign > 0 ? 'leftFoot' : 'rightFoot';
+    const foot = grammarVector(pose[chain] || basePose[chain] || [grammarBody.standingFoot[0] * sign, grammarBody.standingFoot[1], grammarBody.standingFoot[2]]);
+    const floorY = grammarBody.standingFoot[1];
+    let moved = false;
+
+    const horizontal = grammarDirectionVector(clause.directions.filter(direction => direction !== 'up' && direction !== 'down'), sign);
+    horizontal.y = 0;
+    if (horizontal.lengthSq() > 0) {
+        const step = clause.distance !== null ? clause.distance : 0.25 * clause.scale;
+        foot.addScaledVector(horizontal.normalize(), step);
+        moved = true;
+    }
+    if (clause.directions.includes('in')) {
+        foot.x = grammarBody.standingFoot[0] * 0.6 * sign;
+        moved = true;
+    }
+    if (clause.directions.includes('up')) {
+        // Lift the knee forward, like a march step
+        foot.y = floorY + (clause.distance !== null ? clause.distance : 0.3 * clause.scale);
+        foot.z += 0.1;
+        pose[`${chain}PoleTarget`] = [0.15 * sign, 0.5, 0.6];
+        moved = true;
+    } else if (clause.directions.includes('down')) {
+        foot.y = floorY;
+        moved = true;
+    }
+
+    if (moved) {
+        pose[chain] = roundPoseArray(foot.toArray(), 3);
+    }
+    return moved;
+}
+
+function applyHeadClause(clause, pose) {
+    // Euler degrees: +X looks down, +Y turns to the robot's left, -Z tilts left
+    const rotation = pose.headRotation ? pose.headRotation.slice() : [0, 0, 0];
+    const scale = clause.scale;
+    let moved = false;
+
+    for (const direction of clause.directions) {
+        if (direction === 'up') rotation[0] = -(clause.angle || 25 * scale);
+        if (direction === 'down') rotation[0] = clause.angle || 25 * scale;
+        if (direction === 'forward') {
+            rotation[0] = 0;
+            rotation[1] = 0;
+            rotation[2] = 0;
+        }
+        if (direction === 'left' || direction === 'right') {
+            const side = direction === 'left' ? 1 : -1;
+            if (clause.tilt) {
+                rotation[2] = -side * (clause.angle || 20 * scale);
+            } else {
+                rotation[1] = side * (clause.angle || 40 * scale);
+            }
+        }
+        moved = true;
+    }
+
+    if (moved) {
+        pose.headRotation = roundPoseArray(rotation, 1);
+    }
+    return moved;
+}
+
+function applyHipsClause(clause, basePose, pose) {
+    const offset = grammarVector(pose.hipsOffset || basePose.hipsOffset || [0, 0, 0]);
+    const crouch = clause.words.some(word => grammarPartVerbs.hips.includes(word));
+
+    if (crouch) {
+        const depth = clause.distance !== null ? clause.distance : 0.25 * clause.scale;
+        offset.y = -depth;
+        // Knees bend forward rather than inward
+        pose.leftFootPoleTarget = [0.2, 0.5, 0.8];
+        pose.rightFootPoleTarget = [-0.2, 0.5, 0.8];
+    }
+
+    // "crouch down" is already down; only sideways shifts add to a crouch
+    const direction = grammarDirectionVector(clause.directions.filter(item => !crouch || (item !== 'up' && item !== 'down')), 1);
+    if (!crouch && direction.lengthSq() === 0) return false;
+    if (direction.lengthSq() > 0) {
+        offset.addScaledVector(direction.normalize(), clause.distance !== null ? clause.distance : 0.1 * clause.scale);
+    }
+
+    pose.hipsOffset = roundPoseArray(offset.toArray(), 3);
+    return true;
+}
+
+function applyRootClause(clause, basePose, pose) {
+    // Turning only changes the yaw, so keep the rotation as Euler degrees
+    const rotation = (pose.rootRotation || basePose.rootRotation || [0, 0, 0]).slice();
+    if (rotation.length === 4) {
+        rotation.splice(0, 4, ...quaternionToDegrees(YBot.parseRotation(rotation)));
+    }
+    const position = grammarVector(pose.rootPosition || basePose.rootPosition || [0, 0, 0]);
+    const turning = clause.words.some(word => /^(turn|rotate|spin|face|facing|around)/.test(word));
+    let moved = false;
+
+    let turn = 0;
+    if (clause.words.includes('around')) {
+        turn = 180;
+    } else if (turning) {
+        const side = clause.directions.includes('left') ? 1 : clause.directions.includes('right') ? -1 : 0;
+        turn = side * (clause.angle || 90 * Math.min(1, clause.scale));
+    }
+    if (turn !== 0) {
+        rotation[1] = ((rotation[1] + turn + 540) % 360) - 180; // Keep within -180..180
+        moved = true;
+    } else if (!turning) {
+        // Walking moves the root along the direction the robot is facing
+        const direction = grammarDirectionVector(clause.directions.filter(item => item !== 'up' && item !== 'down'), 1);
+        if (direction.lengthSq() > 0) {
+            const distance = clause.distance !== null ? clause.distance : 0.5 * clause.scale;
+            position.addScaledVector(direction.normalize().applyQuaternion(YBot.parseRotation(rotation)), distance);
+            moved = true;
+        }
+    }
+
+    if (moved) {
+        pose.rootRotation = roundPoseArray(rotation, 1);
+        pose.rootPosition = roundPoseArray(position.toArray(), 3);
+    }
+    return moved;
+}
+
+// Parse a command into the same version 1 pose the LLM path produces. basePose is
+// the pose to edit (default: the current goals). Returns
+// { pose, understood: [clause text], ignored: [clause text] }, or null if nothing was understood.
+function parsePoseCommand(text, basePose = capturePose()) {
+    const clauses = text
+        .split(/,|;|\.(?!\d)|\band\b|\bthen\b|\bwhile\b|\bwith\b/i)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => Object.assign(analyzePoseClause(tokenizePoseClause(part)), { text: part }));
+
+    // A clause with no body part continues the one before ("left hand up and forward")
+    const merged = [];
+    for (const clause of clauses) {
+        const previous = merged[merged.length - 1];
+        const continues = !clause.part && !clause.preset && previous && previous.part &&
+            (clause.directions.length > 0 || clause.distance !== null || clause.angle !== null || clause.scale !== 1);
+        if (continues) {
+            previous.directions.push(...clause.directions.filter(direction => !previous.directions.includes(direction)));
+            previous.distance = clause.distance !== null ? clause.distance : previous.distance;
+            previous.angle = clause.angle !== null ? clause.angle : previous.angle;
+            previous.scale = clause.scale !== 1 ? clause.scale : previous.scale;
+            previous.words = previous.words.concat(clause.words);
+            previous.text += ` and ${clause.text}`;
+        } else {
+            merged.push(clause);
+        }
+    }
+
+    const pose = {};
+    const understood = [];
+    const ignored = [];
+
+    // Presets first so "crouch and wave" style commands can adjust them
+    for (const clause of merged) {
+        if (clause.preset && !clause.part && posePresets[clause.preset]) {
+            const preset = Object.assign({}, normalizePose(posePresets[clause.preset]));
+            delete preset.description;
+            Object.assign(pose, preset);
+            understood.push(clause.text);
+        }
+    }
+
+    for (const clause of merged) {
+        if (clause.preset && !clause.part) continue;
+
+        let moved = false;
+        const signs = clause.side === 'both' ? [1, -1] : [clause.side === 'left' ? 1 : -1];
+        if (clause.part === 'hand') {
+            signs.forEach(sign => { moved = applyHandClause(clause, basePose, pose, sign) || moved; });
+        } else if (clause.part === 'foot') {
+            signs.forEach(sign => { moved = applyFootClause(clause, basePose, pose, sign) || moved; });
+        } else if (clause.part === 'head') {
+            moved = applyHeadClause(clause, pose);
+        } else if (clause.part === 'hips') {
+            moved = applyHipsClause(clause, basePose, pose);
+        } else if (clause.part === 'root') {
+            moved = applyRootClause(clause, basePose, pose);
+        }
+
+        (moved ? understood : ignored).push(clause.text);
+    }
+
+    if (understood.length === 0) return null;
+
+    pose.version = poseSchemaVersion;
+    pose.description = text.trim();
+    return { pose, understood, ignored };
+}
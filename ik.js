@@ -3,8 +3,11 @@
 class CustomIKSolver {
     constructor() {
         this.chains = [];
-        this.maxIterations = 1; // Single pass for stability
-        this.tolerance = 0.2; // Even higher tolerance
+        this.maxIterations = 10; // CCD passes per chain per solve
+        this.tolerance = 0.005; // Distance to target (world units) that counts as converged
+        this.minAngle = 0.0001; // Rotations smaller than this (radians) are skipped
+        this.selfCollision = null; // CapsuleCollider whose capsules the chains keep out of, or null
+        this.selfCollisionSlop = 0.002; // Penetration (world units) that is left alone
     }
 
     add(chain) {
@@ -12,9 +15,10 @@ class CustomIKSolver {
     }
 
     solve() {
+        const results = [];
         for (const chain of this.chains) {
             if (chain.target && chain.joints.length > 1) {
-                this.solveChain(chain);
+                results.push(this.solveChain(chain));
             }
         }
 
@@ -22,14 +26,17 @@ class CustomIKSolver {
         if (ybot) {
             ybot.updateMatrixWorld(true);
         }
+
+        return results;
     }
 
     solveChains(chainNames) {
+        const results = [];
         for (const chain of this.chains) {
             // Check if this chain's name matches any in the allowed list
             const chainName = Object.keys(ybotInstance.ikChains).find(name => ybotInstance.ikChains[name] === chain);
             if (chainNames.includes(chainName) && chain.target && chain.joints.length > 1) {
-                this.solveChain(chain);
+                results.push(this.solveChain(chain));
             }
         }
 
@@ -37,66 +44,221 @@ class CustomIKSolver {
         if (ybot) {
             ybot.updateMatrixWorld(true);
         }
+
+        return results;
     }
 
+    // Cyclic Coordinate Descent: each pass walks from the joint nearest the end
+    // effector back to the chain root, turning every joint so the effector lines
+    // up with the target. Passes repeat until the effector is within tolerance
+    // or maxIterations is reached. With selfCollision set, each joint is turned
+    // back out of the body right after its CCD step, so the other joints route
+    // the limb around it, and passes also continue while the body overlaps itself.
     solveChain(chain) {
         const target = chain.target;
         const joints = chain.joints;
+        const endEffector = joints[joints.length - 1];
 
-        // Ultra-simple IK: just make each joint point towards the target
-        // This is more stable than complex CCD algorithms
-        for (let i = 0; i < joints.length - 1; i++) {
-            const joint = joints[i];
-            const nextJoint = joints[i + 1];
-
-            // Get positions
-            const jointPos = new THREE.Vector3();
-            const nextPos = new THREE.Vector3();
-            const targetPos = target.clone();
-
-            joint.getWorldPosition(jointPos);
-            nextJoint.getWorldPosition(nextPos);
-
-            // Vector from joint to next joint (current bone direction)
-            const currentDir = new THREE.Vector3().subVectors(nextPos, jointPos).normalize();
-
-            // Vector from joint to target
-            const targetDir = new THREE.Vector3().subVectors(targetPos, jointPos).normalize();
-
-            // Calculate rotation needed
-            const dot = Math.max(-1, Math.min(1, currentDir.dot(targetDir)));
-            const angle = Math.acos(dot);
-
-            if (angle > 0.01) {
-                // Calculate rotation axis
-                const axis = new THREE.Vector3().crossVectors(currentDir, targetDir).normalize();
-
-                // Very small rotation for stability
-                const maxAngle = Math.PI / 12; // 15 degrees max
-                const clampedAngle = Math.min(angle * 0.05, maxAngle);
-
-                if (clampedAngle > 0.001) {
-                    // Apply rotation in world space, then convert to local
-                    const worldQuat = new THREE.Quaternion();
-                    joint.getWorldQuaternion(worldQuat);
-
-                    const rotation = new THREE.Quaternion().setFromAxisAngle(axis, clampedAngle);
-                    worldQuat.multiply(rotation);
-
-                    // Convert back to local quaternion
-                    if (joint.parent) {
-                        const parentWorldQuat = new THREE.Quaternion();
-                        joint.parent.getWorldQuaternion(parentWorldQuat);
-                        parentWorldQuat.invert();
-                        joint.quaternion.copy(parentWorldQuat).multiply(worldQuat);
-                    } else {
-                        joint.quaternion.copy(worldQuat);
-                    }
+        const jointPos = new THREE.Vector3();
+        const effectorPos = new THREE.Vector3();
+        const toEffector = new THREE.Vector3();
+        const toTarget = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+
+        // Start from fresh world matrices in case the root or parents moved
+        joints[0].updateWorldMatrix(true, true);
+
+        // Orient the bend plane before solving, so a moved pole applies even when
+        // the effector is already on target
+        this.alignToPoleTarget(chain);
+
+        if (this.selfCollision) {
+            this.selfCollision.updateCapsules();
+        }
+
+        endEffector.getWorldPosition(effectorPos);
+        let error = effectorPos.distanceTo(target);
+        let penetration = this.getSelfPenetration(chain);
+        let iterations = 0;
 
-                    // Update matrices
-                    joint.updateMatrix();
+        while ((error > this.tolerance || penetration > this.selfCollisionSlop) && iterations < this.maxIterations) {
+            iterations++;
+
+            // Re-orient the bend plane first so CCD gets the final say on reaching the target
+            this.alignToPoleTarget(chain);
+
+            for (let i = joints.length - 2; i >= 0; i--) {
+                const joint = joints[i];
+
+                joint.getWorldPosition(jointPos);
+                endEffector.getWorldPosition(effectorPos);
+
+                toEffector.subVectors(effectorPos, jointPos);
+                toTarget.subVectors(target, jointPos);
+
+                // Skipped when the joint sits on the effector or the target - no usable direction
+                if (toEffector.lengthSq() > 1e-10 && toTarget.lengthSq() > 1e-10) {
+                    rotation.setFromUnitVectors(toEffector.normalize(), toTarget.normalize());
+                    const angle = 2 * Math.acos(Math.min(1, Math.abs(rotation.w)));
+
+                    if (angle > this.minAngle) {
+                        this.rotateJointWorld(joint, rotation);
+                        this.constrainJoint(chain, i);
+                    }
                 }
+
+                this.separateFromBody(chain, i);
             }
+
+            endEffector.getWorldPosition(effectorPos);
+            error = effectorPos.distanceTo(target);
+            penetration = this.getSelfPenetration(chain);
+        }
+
+        // CCD pulls back toward a target inside the body; leave the body clear
+        // even where that costs some reach
+        for (let pass = 0; penetration > this.selfCollisionSlop && pass < this.maxIterations; pass++) {
+            for (let i = joints.length - 2; i >= 0; i--) {
+                this.separateFromBody(chain, i);
+            }
+            endEffector.getWorldPosition(effectorPos);
+            error = effectorPos.distanceTo(target);
+            penetration = this.getSelfPenetration(chain);
+        }
+
+        // CCD never turns the end bone, so its limit (hand, foot, head) is enforced
+        // here, after any orientation goal, whatever left it out of range
+        this.alignToTargetRotation(chain);
+        this.constrainJoint(chain, joints.length - 1);
+
+        chain.lastResult = {
+            converged: error <= this.tolerance,
+            error: error,
+            iterations: iterations,
+            penetration: penetration // Deepest self-overlap left, 0 without selfCollision
+        };
+
+        return chain.lastResult;
+    }
+
+    // Deepest overlap between a capsule the chain moves and one it doesn't
+    getSelfPenetration(chain) {
+        if (!this.selfCollision) return 0;
+        const contacts = this.selfCollision.findSelfContacts(chain.joints[0]);
+        return contacts.reduce((deepest, contact) => Math.max(deepest, contact.penetration), 0);
+    }
+
+    // Turn joint index so the deepest capsule it moves leaves the body capsule it
+    // has sunk into, pushing the point of contact straight out
+    separateFromBody(chain, index) {
+        if (!this.selfCollision) return;
+
+        const joint = chain.joints[index];
+        this.selfCollision.updateCapsules(joint);
+
+        let deepest = null;
+        for (const contact of this.selfCollision.findSelfContacts(joint)) {
+            if (!deepest || contact.penetration > deepest.penetration) {
+                deepest = contact;
+            }
+        }
+        if (!deepest || deepest.penetration <= this.selfCollisionSlop) return;
+
+        // The contact normal points from capsule A to capsule B
+        const movesA = deepest.capsuleA.ancestors.has(joint);
+        const point = movesA ? deepest.pointA : deepest.pointB;
+        const push = deepest.normal.clone().multiplyScalar(movesA ? -deepest.penetration : deepest.penetration);
+
+        const jointPos = joint.getWorldPosition(new THREE.Vector3());
+        const from = new THREE.Vector3().subVectors(point, jointPos);
+        if (from.lengthSq() < 1e-8) return;
+        const to = from.clone().add(push);
+
+        this.rotateJointWorld(joint, new THREE.Quaternion().setFromUnitVectors(from.normalize(), to.normalize()));
+        this.constrainJoint(chain, index);
+        this.selfCollision.updateCapsules(joint);
+    }
+
+    // Apply a world-space rotation to a joint and store it as a local quaternion
+    rotateJointWorld(joint, rotation) {
+        const worldQuat = new THREE.Quaternion();
+        joint.getWorldQuaternion(worldQuat);
+        worldQuat.premultiply(rotation);
+
+        if (joint.parent) {
+            const parentWorldQuat = new THREE.Quaternion();
+            joint.parent.getWorldQuaternion(parentWorldQuat);
+            joint.quaternion.copy(parentWorldQuat.invert().multiply(worldQuat));
+        } else {
+            joint.quaternion.copy(worldQuat);
+        }
+
+        // Propagate to children so the next joint sees the new effector position
+        joint.updateMatrixWorld(true);
+    }
+
+    // Swing the limb about the root->effector axis so the middle joint (elbow or
+    // knee) bends toward the chain's pole target. The effector does not move.
+    alignToPoleTarget(chain) {
+        const joints = chain.joints;
+        if (!chain.poleTarget || joints.length < 3) return;
+
+        const rootIndex = joints.length - 3;
+        const rootPos = new THREE.Vector3();
+        const midPos = new THREE.Vector3();
+        const endPos = new THREE.Vector3();
+        joints[rootIndex].getWorldPosition(rootPos);
+        joints[joints.length - 2].getWorldPosition(midPos);
+        joints[joints.length - 1].getWorldPosition(endPos);
+
+        const axis = new THREE.Vector3().subVectors(endPos, rootPos);
+        if (axis.lengthSq() < 1e-10) return;
+        axis.normalize();
+
+        // Project the middle joint and the pole onto the plane perpendicular to the axis
+        const midDir = new THREE.Vector3().subVectors(midPos, rootPos);
+        midDir.addScaledVector(axis, -midDir.dot(axis));
+        const poleDir = new THREE.Vector3().subVectors(chain.poleTarget, rootPos);
+        poleDir.addScaledVector(axis, -poleDir.dot(axis));
+
+        // A straight limb has no bend plane to turn
+        if (midDir.lengthSq() < 1e-8 || poleDir.lengthSq() < 1e-8) return;
+
+        const cross = new THREE.Vector3().crossVectors(midDir, poleDir);
+        const angle = Math.atan2(cross.dot(axis), midDir.dot(poleDir));
+        if (Math.abs(angle) <= this.minAngle) return;
+
+        this.rotateJointWorld(joints[rootIndex], new THREE.Quaternion().setFromAxisAngle(axis, angle));
+        this.constrainJoint(chain, rootIndex);
+    }
+
+    // Turn the end joint to the chain's orientation goal. The effector position
+    // does not depend on the end joint's own rotation, so the reach is kept.
+    alignToTargetRotation(chain) {
+        if (!chain.targetRotation) return;
+
+        const endIndex = chain.joints.length - 1;
+        const joint = chain.joints[endIndex];
+
+        if (joint.parent) {
+            const parentWorldQuat = new THREE.Quaternion();
+            joint.parent.getWorldQuaternion(parentWorldQuat);
+            joint.quaternion.copy(parentWorldQuat.invert().multiply(chain.targetRotation));
+        } else {
+            joint.quaternion.copy(chain.targetRotation);
+        }
+
+        joint.updateMatrixWorld(true);
+    }
+
+    // Enforce the joint's angular limit (if any) after it has been rotated
+    constrainJoint(chain, index) {
+        const constraint = chain.constraints[index];
+        if (!constraint) return;
+
+        const joint = chain.joints[index];
+        if (applyJointConstraint(joint, constraint, chain.restQuaternions[index])) {
+            joint.updateMatrixWorld(true);
         }
     }
 }
@@ -104,14 +266,29 @@ class CustomIKSolver {
 class CustomIKChain {
     constructor() {
         this.joints = [];
+        this.restQuaternions = []; // Local rotation of each joint when it was added
+        this.constraints = []; // Joint limit per joint, or null (see constraints.js)
         this.target = null;
+        this.poleTarget = null; // Optional point the middle joint (elbow/knee) bends toward
+        this.targetRotation = null; // Optional world-space orientation for the end joint
+        this.lastResult = null; // { converged, error, iterations } from the last solve
     }
 
-    add(joint) {
+    add(joint, constraint = null) {
         this.joints.push(joint);
+        this.restQuaternions.push(joint.quaternion.clone());
+        this.constraints.push(constraint);
     }
 
     setTarget(position) {
         this.target = position.clone();
     }
-}
\ No newline at end of file
+
+    setPoleTarget(position) {
+        this.poleTarget = position ? position.clone() : null;
+    }
+
+    setTargetRotation(quaternion) {
+        this.targetRotation = quaternion ? quaternion.clone() : null;
+    }
+}
@@ -1,27 +1,106 @@
 // llm.js - LLM integration and pose management
 
 // Global variables for LLM
-let conversationHistory = [];
+let conversationHistory = []; // Accepted turns: { input, output, summary, timestamp }
+let conversationMode = false; // Longer history plus relative "delta" edits (see prompt.js)
+let llmAbortController = null; // Set while a request is in flight so it can be cancelled
+
+// Retries for one provider before moving down the fallback chain. Delays double
+// from baseDelay up to maxDelay; a Retry-After header wins when the server sends one.
+const llmRetryPolicy = {
+    retries: 2,
+    baseDelay: 1000, // ms
+    maxDelay: 8000, // ms
+    statuses: [408, 425, 429, 500, 502, 503, 504]
+};
+// Full-body presets in the version 1 pose schema (see pose.js). They leave the
+// root alone so a preset poses the robot wherever it stands.
 let posePresets = {
     "wave": {
+        version: 1,
         leftHand: [0.6, 1.8, 0.4],
         rightHand: [-0.6, 1.8, 0.4],
+        leftFoot: [0.1, 0.12, 0.05],
+        rightFoot: [-0.1, 0.12, 0.05],
+        head: [0, 1.6, 0.02],
+        headRotation: [-10, 0, 0],
+        hipsOffset: [0, 0, 0],
         description: "Waving both hands"
     },
     "point": {
+        version: 1,
         leftHand: [0.8, 1.2, 0.6],
         rightHand: [-0.3, 1.0, 0.8],
+        leftFoot: [0.1, 0.12, 0.1],
+        rightFoot: [-0.1, 0.12, -0.05],
+        head: [0.02, 1.6, 0.03],
+        headRotation: [0, 20, 0],
+        hipsOffset: [0, 0, 0],
         description: "Pointing with left hand"
     },
     "dance": {
+        version: 1,
         leftHand: [0.4, 1.6, 0.2],
         rightHand: [-0.4, 1.6, -0.2],
+        leftFoot: [0.2, 0.12, 0.05],
+        rightFoot: [-0.2, 0.12, 0.05],
+        head: [0.03, 1.55, 0],
+        headRotation: [0, 0, 10],
+        hipsOffset: [-0.03, -0.05, 0],
         description: "Dancing pose"
     },
     "idle": {
-        leftHand: [0.2, 0.8, 0.1],
-        rightHand: [-0.2, 0.8, 0.1],
+        version: 1,
+        leftHand: [0.2, 0.9, 0.05],
+        rightHand: [-0.2, 0.9, 0.05],
+        leftFoot: [0.1, 0.12, 0.05],
+        rightFoot: [-0.1, 0.12, 0.05],
+        head: [0, 1.6, 0],
+        headRotation: [0, 0, 0],
+        hipsOffset: [0, 0, 0],
         description: "Relaxed standing pose"
+    },
+    "crouch": {
+        version: 1,
+        leftHand: [0.25, 0.9, 0.35],
+        rightHand: [-0.25, 0.9, 0.35],
+        leftFoot: [0.12, 0.12, 0.05],
+        rightFoot: [-0.12, 0.12, 0.05],
+        leftFootPoleTarget: [0.2, 0.5, 0.8],
+        rightFootPoleTarget: [-0.2, 0.5, 0.8],
+        head: [0, 1.3, 0.1],
+        headRotation: [0, 0, 0],
+        hipsOffset: [0, -0.3, 0],
+        description: "Crouching down"
+    }
+};
+
+// Keyframed presets for the sequence player (see timeline.js for the format)
+let poseSequences = {
+    "dance": {
+        description: "Side-to-side dance",
+        mode: "loop",
+        keyframes: [
+            { time: 0, pose: { leftHand: [0.4, 1.6, 0.2], rightHand: [-0.4, 1.2, 0.3], headRotation: [0, 0, -10] } },
+            { time: 0.5, pose: { leftHand: [0.4, 1.2, 0.3], rightHand: [-0.4, 1.6, 0.2], headRotation: [0, 0, 10] } },
+            { time: 1.0, pose: { leftHand: [0.4, 1.6, 0.2], rightHand: [-0.4, 1.2, 0.3], headRotation: [0, 0, -10] } }
+        ]
+    },
+    "wave": {
+        description: "Waving the right hand",
+        mode: "pingpong",
+        keyframes: [
+            { time: 0, pose: { rightHand: [-0.45, 1.7, 0.1], rightHandRotation: [-90, 0, 0] } },
+            { time: 0.4, pose: { rightHand: [-0.25, 1.75, 0.15] } }
+        ]
+    },
+    "nod": {
+        description: "Nodding yes",
+        mode: "pingpong",
+        keyframes: [
+            { time: 0, pose: { headRotation: [15, 0, 0] } },
+            { time: 0.35, pose: { headRotation: [-5, 0, 0] } }
+        ]
     }
 };
 
@@ -31,16 +110,18 @@ function applyPosePreset(presetName) {
 
     console.log('Applying pose:', preset.description);
 
-    // Apply hand positions
-    if (preset.leftHand) {
-        moveIKTarget('leftHand', ...preset.leftHand);
-    }
-    if (preset.rightHand) {
-        moveIKTarget('rightHand', ...preset.rightHand);
-    }
+    // Presets are whole-body poses, so elbows and knees bend freely again unless the
+    // preset sets a pole (Relax after Crouch mustn't keep the knees pushed forward)
+    ikChainNames
+        .filter(chainName => poleTargets[chainName] && !preset[`${chainName}PoleTarget`])
+        .forEach(clearIKPoleTarget);
+
+    // Tween to the preset's targets
+    const transition = transitionToPose(preset);
 
     // Show targets briefly for visual feedback
     showTargetsTemporarily();
+    return transition;
 }
 
 function showTargetsTemporarily() {
@@ -48,494 +129,475 @@ function showTargetsTemporarily() {
     Object.values(ikTargets).forEach(target => {
         target.visible = true;
     });
+    Object.values(poleTargets).forEach(pole => {
+        pole.visible = pole.userData.active;
+    });
 
     setTimeout(() => {
         Object.values(ikTargets).forEach(target => {
             target.visible = false;
         });
+        Object.values(poleTargets).forEach(pole => {
+            pole.visible = false;
+        });
     }, 2000);
 }
 
+// Offline fallback: the rule-based grammar in grammar.js, validated and applied
+// exactly like an LLM reply
 function parseLLMPose(text) {
-    // Simple LLM pose parser - can be enhanced
-    const lowerText = text.toLowerCase();
     const responseDiv = document.getElementById('llmResponse');
+    const result = parsePoseCommand(text);
 
-    if (lowerText.includes('wave') || lowerText.includes('hello')) {
-        applyPosePreset('wave');
-        responseDiv.textContent = '🤖 Applied waving pose';
-        return 'Applied waving pose';
-    }
-    if (lowerText.includes('point')) {
-        applyPosePreset('point');
-        responseDiv.textContent = '🤖 Applied pointing pose';
-        return 'Applied pointing pose';
+    if (!result) {
+        responseDiv.textContent = '🤖 Pose not understood. Try: "left hand up high", "both arms out to the sides", "step right foot forward", "look down"';
+        return 'Pose not understood';
     }
-    if (lowerText.includes('dance')) {
-        applyPosePreset('dance');
-        responseDiv.textContent = '🤖 Applied dancing pose';
-        return 'Applied dancing pose';
-    }
-    if (lowerText.includes('relax') || lowerText.includes('idle')) {
-        applyPosePreset('idle');
-        responseDiv.textContent = '🤖 Applied relaxed pose';
-        return 'Applied relaxed pose';
+
+    const validation = validatePose(result.pose);
+    if (!validation.valid) {
+        console.warn('Parsed pose failed validation:\n' + formatPoseErrors(validation.errors));
+        responseDiv.textContent = `❌ Could not build a valid pose from: ${text}`;
+        return 'Invalid pose';
     }
 
-    responseDiv.textContent = '🤖 Pose not recognized. Try: wave, point, dance, or relax';
-    return 'Pose not recognized. Try: wave, point, dance, or relax';
+    console.log('Offline parser pose:', validation.pose, result.ignored.length > 0 ? `(ignored: ${result.ignored.join('; ')})` : '');
+    const transition = applyLLMPose(validation.pose);
+    savePoseToHistory(transition.pose, validation.pose.description);
+
+    const ignoredNote = result.ignored.length > 0 ? ` (didn't understand: ${result.ignored.join('; ')})` : '';
+    responseDiv.textContent = `📖 Applied (offline parser): ${result.understood.join('; ')}${ignoredNote}`;
+    return `Applied ${result.understood.join('; ')}`;
 }
 
 async function generatePoseFromLLM(text) {
     const responseDiv = document.getElementById('llmResponse');
     responseDiv.textContent = '🤔 Thinking...';
 
-    // Activate consciousness thinking mode
-    startThinkingAnimation();
+    llmAbortController = new AbortController();
+    const signal = llmAbortController.signal;
 
     try {
-        let poseData;
         console.log('Using LLM provider:', llmProvider);
 
-        switch(llmProvider) {
-            case 'openai':
-                console.log('Calling OpenAI...');
-                poseData = await generateWithOpenAI(text);
-                break;
-            case 'anthropic':
-                console.log('Calling Anthropic...');
-                poseData = await generateWithAnthropic(text);
-                break;
-            case 'ollama':
-                console.log('Calling Ollama...');
-                poseData = await generateWithOllama(text);
-                break;
-            case 'lmstudio':
-                console.log('Calling LM Studio...');
-                poseData = await generateWithLMStudio(text);
-                break;
-            case 'together':
-                console.log('Calling Together AI...');
-                poseData = await generateWithTogether(text);
-                break;
-            default: // webllm
-                console.log('WebLLM available:', !!llmEngine);
-                if (llmEngine) {
-                    poseData = await generateWithWebLLM(text);
-                } else {
-                    console.log('WebLLM not available, trying to load it...');
-                    try {
-                        // Try to load WebLLM on demand
-                        await initWebLLM();
-                        if (llmEngine) {
-                            poseData = await generateWithWebLLM(text);
-                        } else {
-                            throw new Error('WebLLM still not available');
-                        }
-                    } catch (webllmError) {
-                        console.log('WebLLM failed, switching to OpenAI...');
-                        llmProvider = 'openai';
-                        document.getElementById('llmProvider').value = 'openai';
-                        document.getElementById('openaiConfig').style.display = 'block';
-                        poseData = await generateWithOpenAI(text);
-                    }
-                }
+        let poseData = null;
+        let provider = null;
+        let reply;
+        let validation;
+        try {
+            ({ poseData, provider } = await requestPoseFromProvider(text, { signal }));
+            validation = validateLLMReply(poseData);
+        } catch (error) {
+            if (error.reply === undefined) throw error;
+            reply = error.reply;
+            provider = error.provider;
+            validation = { valid: false, errors: [{ field: 'reply', message: error.message }] };
+        }
+
+        // One repair round-trip: show the model its reply and what was wrong with it
+        if (!validation.valid) {
+            console.warn('LLM pose failed validation:\n' + formatPoseErrors(validation.errors));
+            responseDiv.textContent = `🔧 Repairing pose (${validation.errors.length} error${validation.errors.length === 1 ? '' : 's'})...`;
+
+            // The provider that made the mistake gets to fix it, falling back as usual
+            const repair = { reply: (poseData ? JSON.stringify(poseData) : reply) || '(empty reply)', errors: validation.errors };
+            ({ poseData, provider } = await requestPoseFromProvider(text, { repair, signal, providerId: provider.id }));
+            validation = validateLLMReply(poseData);
+            if (!validation.valid) {
+                throw new Error(`Pose still invalid after repair:\n${formatPoseErrors(validation.errors)}`);
+            }
         }
 
-        if (poseData) {
-            console.log('LLM generated pose data:', poseData);
-            applyLLMPose(poseData);
-            savePoseToHistory(poseData, poseData.description || 'LLM pose');
-            responseDiv.textContent = `🤖 Applied: ${poseData.description || 'LLM pose'}`;
+        // Only accepted replies become conversation history for later prompts.
+        // Relative edits are kept as deltas so the model keeps answering that way.
+        const accepted = validation.sequence || validation.pose;
+        let summary = accepted.description || (validation.sequence ? 'LLM sequence' : 'LLM pose');
+        if (poseData.delta) {
+            summary += ` (Δ ${Object.keys(poseData.delta).join(', ')})`;
+        }
+        conversationHistory.push({
+            input: text,
+            output: JSON.stringify(poseData.delta ? poseData : accepted),
+            summary: summary,
+            timestamp: Date.now()
+        });
+        renderChatTranscript();
+
+        const clampNote = validation.clamped.length > 0
+            ? ` (📏 ${validation.clamped.length} target${validation.clamped.length === 1 ? '' : 's'} pulled into reach)`
+            : '';
+        validation.clamped.forEach(clamp => {
+            console.log(`Clamped ${clamp.field} by ${(clamp.distance * 100).toFixed(1)} cm to stay within reach`);
+        });
+
+        if (validation.sequence) {
+            console.log('LLM generated pose sequence:', validation.sequence);
+            playPoseSequence(validation.sequence);
+            responseDiv.textContent = `🎬 Playing: ${validation.sequence.description || 'LLM sequence'} (via ${provider.name})${clampNote}`;
         } else {
-            console.error('No pose data returned from LLM');
-            throw new Error('No pose data generated');
+            console.log('LLM generated pose data:', validation.pose);
+            const transition = applyLLMPose(validation.pose);
+            savePoseToHistory(transition.pose, validation.pose.description || 'LLM pose');
+            responseDiv.textContent = `🤖 Applied: ${validation.pose.description || 'LLM pose'} (via ${provider.name})${clampNote}`;
         }
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            // Targets already previewed stay where they are
+            console.log('LLM request cancelled');
+            responseDiv.textContent = '⏹ Generation cancelled';
+            return;
+        }
         console.error('LLM generation failed:', error);
         responseDiv.textContent = '❌ LLM Error - using basic parser';
         // Force test with basic parser
         console.log('Testing with basic parser...');
         parseLLMPose(text); // Fallback
+    } finally {
+        llmAbortController = null;
     }
 }
 
-function applyLLMPose(poseData) {
-    console.log('Applying LLM pose:', poseData);
-
-    // Apply hand positions if specified
-    if (poseData.leftHand && Array.isArray(poseData.leftHand)) {
-        console.log('Moving left hand to:', poseData.leftHand);
-        moveIKTarget('leftHand', ...poseData.leftHand);
-    }
-    if (poseData.rightHand && Array.isArray(poseData.rightHand)) {
-        console.log('Moving right hand to:', poseData.rightHand);
-        moveIKTarget('rightHand', ...poseData.rightHand);
+function cancelLLMRequest() {
+    if (llmAbortController) {
+        llmAbortController.abort();
     }
+}
 
-    // Apply additional body parts if specified
-    if (poseData.leftFoot && Array.isArray(poseData.leftFoot)) {
-        moveIKTarget('leftFoot', ...poseData.leftFoot);
-    }
-    if (poseData.rightFoot && Array.isArray(poseData.rightFoot)) {
-        moveIKTarget('rightFoot', ...poseData.rightFoot);
-    }
-    if (poseData.head && Array.isArray(poseData.head)) {
-        moveIKTarget('head', ...poseData.head);
-    }
+// Returns an onDelta callback that shows the reply as it streams in and moves each
+// target as soon as its field is complete. The full reply is still validated and
+// applied once it has arrived.
+function createStreamingPreview(provider) {
+    const responseDiv = document.getElementById('llmResponse');
+    const previewed = {};
+    let streamed = '';
 
-    // Show targets briefly
-    showTargetsTemporarily();
-}
+    return delta => {
+        streamed += delta;
+        responseDiv.textContent = `💬 ${provider.name}: ${streamed.length > 300 ? '…' + streamed.slice(-300) : streamed}`;
 
-function testIKSystem() {
-    console.log('Testing IK system...');
-    // Test by moving left hand to a visible position
-    moveIKTarget('leftHand', 0.8, 1.2, 0.6);
-    document.getElementById('llmResponse').textContent = '🧪 IK Test: Moved left hand forward';
-}
+        // Sequences only make sense once every keyframe is in
+        if (/"keyframes"\s*:/.test(streamed)) return;
 
-// LLM provider functions (simplified versions)
-async function generateWithWebLLM(text) {
-    const historyContext = conversationHistory.slice(-3).map(h => `User: ${h.input}\nAI: ${h.output}`).join('\n');
-    const prompt = `${historyContext ? `Previous conversation:\n${historyContext}\n\n` : ''}Convert this pose description into specific IK target positions for a humanoid robot.
-    Description: "${text}"
-
-    Respond with JSON format like:
-    {
-        "leftHand": [x, y, z],
-        "rightHand": [x, y, z],
-        "description": "brief description"
-    }
+        for (const [field, value] of Object.entries(extractCompletedFields(streamed))) {
+            const kind = poseFieldKinds[field];
+            if (field in previewed || (kind !== 'position' && kind !== 'rotation')) continue;
 
-    Use coordinates relative to robot center, where:
-    - Forward is +Z, Back is -Z
-    - Right is +X, Left is -X
-    - Up is +Y, Down is -Y
-    - Normal reach distance is about 0.5-0.8 units
-
-    Examples:
-    "wave hello" -> {"leftHand": [0.6, 1.8, 0.4], "rightHand": [-0.6, 1.8, 0.4], "description": "waving both hands"}
-    "point forward" -> {"leftHand": [0.8, 1.2, 0.6], "rightHand": [-0.2, 0.8, 0.1], "description": "pointing with left hand"}`;
-
-    const reply = await llmEngine.generate(prompt, { max_gen_len: 300 });
-    console.log('WebLLM raw response:', reply);
-
-    // Try to parse JSON from response
-    const jsonMatch = reply.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-        const poseData = JSON.parse(jsonMatch[0]);
-        console.log('Parsed pose data:', poseData);
-        conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-        return poseData;
-    }
-    console.error('No JSON found in WebLLM response:', reply);
-    throw new Error('No JSON found in WebLLM response');
+            const validation = validatePose(Object.assign({}, previewed, { [field]: value }));
+            if (!validation.valid) continue; // Left for the repair round-trip
+
+            previewed[field] = value;
+            console.log(`Streaming preview: ${field} ->`, validation.pose[field]);
+            transitionToPose({ [field]: validation.pose[field] });
+        }
+    };
 }
 
-async function generateWithOpenAI(text) {
-    const apiKey = document.getElementById('openaiKey').value.trim();
-    if (!apiKey) {
-        throw new Error('OpenAI API key required');
-    }
+// Ask for a pose, going down the fallback chain until a provider answers.
+// options: { repair, signal, providerId } - repair is { reply, errors } from a rejected
+// attempt, signal cancels everything, providerId overrides where the chain starts.
+// Resolves with { poseData, provider }.
+async function requestPoseFromProvider(text, options = {}) {
+    const messages = buildPoseMessages(text, options.repair);
+    const failures = [];
+
+    for (const provider of getLLMProviderChain(options.providerId || llmProvider)) {
+        let result;
+        try {
+            console.log(`Calling ${provider.name}...`);
+            result = await completeWithRetries(provider, messages, options.signal);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn(`${provider.name} failed:`, error.message);
+            failures.push(error.message);
+            continue;
+        }
 
-    const messages = [
-        {
-            role: 'system',
-            content: `You are a pose generation AI for a humanoid robot. Convert natural language descriptions into specific 3D coordinates for inverse kinematics.
-
-Use coordinates relative to robot center:
-- Forward is +Z, Back is -Z
-- Right is +X, Left is -X
-- Up is +Y, Down is -Y
-- Normal reach distance is about 0.5-0.8 units
-
-Always respond with valid JSON in this exact format:
-{
-    "leftHand": [x, y, z],
-    "rightHand": [x, y, z],
-    "description": "brief description of the pose"
-}`
-        },
-        {
-            role: 'user',
-            content: `Generate pose coordinates for: "${text}"`
+        // Structured tool calls first; digging JSON out of free text is the fallback
+        if (result.toolCall) {
+            console.log(`${provider.name} ${result.toolCall.name} call:`, JSON.stringify(result.toolCall.arguments), '| raw reply:', result.text);
+            return { poseData: result.toolCall.arguments, provider };
         }
-    ];
-
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o-mini',
-            messages: messages,
-            max_tokens: 200,
-            temperature: 0.3
-        })
-    });
 
-    if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
+        let poseData;
+        try {
+            poseData = parsePoseReply(result.text, provider.name);
+        } catch (error) {
+            error.provider = provider; // A bad reply is repaired, not skipped
+            throw error;
+        }
+        console.log(`${provider.name} extracted JSON:`, JSON.stringify(poseData), '| raw reply:', result.text);
+        return { poseData, provider };
     }
 
-    const data = await response.json();
-    const content = data.choices[0].message.content.trim();
+    throw new Error(`No LLM provider answered:\n${failures.join('\n')}`);
+}
 
-    // Try to parse JSON
-    try {
-        const poseData = JSON.parse(content);
-        conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-        return poseData;
-    } catch (parseError) {
-        // Try to extract JSON from text
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const poseData = JSON.parse(jsonMatch[0]);
-            conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-            return poseData;
-        }
-        throw new Error('Invalid JSON in OpenAI response');
-    }
+// The given provider followed by the configured fallbacks, each once
+function getLLMProviderChain(firstId) {
+    const ids = [firstId, ...llmFallbackChain].filter((id, index, all) => all.indexOf(id) === index);
+    return ids.filter(id => llmProviders[id]).map(getLLMProvider);
 }
 
-// Simplified versions of other LLM providers
-async function generateWithAnthropic(text) {
-    const apiKey = document.getElementById('anthropicKey').value.trim();
-    if (!apiKey) {
-        throw new Error('Anthropic API key required');
-    }
+function isRetryableLLMError(error) {
+    return Boolean(error.network) || llmRetryPolicy.statuses.includes(error.status);
+}
 
-    const messages = [{
-        role: 'user',
-        content: `Convert this pose description into specific IK target positions for a humanoid robot.
-        Description: "${text}"
+// Call one provider, retrying rate limits, server errors and dropped connections
+// with exponential backoff
+async function completeWithRetries(provider, messages, signal) {
+    // Replayed calls never reach the provider, so they need no key
+    const config = llmReplay ? {} : getLLMProviderConfig(provider.id);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await completeWithTimeout(provider, messages, config, signal);
+        } catch (error) {
+            if (error.name === 'AbortError' || !isRetryableLLMError(error) || attempt >= llmRetryPolicy.retries) {
+                throw error;
+            }
 
-        Respond with JSON format like:
-        {
-            "leftHand": [x, y, z],
-            "rightHand": [x, y, z],
-            "description": "brief description"
+            const backoff = error.retryAfter !== undefined
+                ? error.retryAfter * 1000
+                : llmRetryPolicy.baseDelay * Math.pow(2, attempt);
+            const delay = Math.min(llmRetryPolicy.maxDelay, backoff);
+            console.warn(`${error.message} - retrying in ${delay} ms (${attempt + 1}/${llmRetryPolicy.retries})`);
+            document.getElementById('llmResponse').textContent = `⏳ ${provider.name} unavailable, retrying in ${(delay / 1000).toFixed(1)}s...`;
+            await waitForLLMRetry(delay, signal);
         }
+    }
+}
 
-        Use coordinates relative to robot center, where:
-        - Forward is +Z, Back is -Z
-        - Right is +X, Left is -X
-        - Up is +Y, Down is -Y
-        - Normal reach distance is about 0.5-0.8 units`
-    }];
-
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-            model: 'claude-3-haiku-20240307',
-            messages: messages,
-            max_tokens: 300,
-            temperature: 0.3
-        })
-    });
+// One provider call that gives up after provider.timeout. The user's signal
+// still cancels it; adapters that ignore signals are raced against the abort.
+async function completeWithTimeout(provider, messages, config, signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Request cancelled', 'AbortError');
+    }
 
-    if (!response.ok) {
-        throw new Error(`Anthropic API error: ${response.status}`);
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, provider.timeout);
+    const cancel = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', cancel);
     }
 
-    const data = await response.json();
-    const content = data.content[0].text.trim();
+    const aborted = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(new DOMException('Request aborted', 'AbortError')));
+    });
+
+    const options = {
+        config: config,
+        maxTokens: 500,
+        temperature: 0.3,
+        tools: buildPoseTools(),
+        signal: controller.signal,
+        onDelta: createStreamingPreview(provider)
+    };
+    const started = Date.now();
 
-    // Try to parse JSON
     try {
-        const poseData = JSON.parse(content);
-        conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-        return poseData;
-    } catch (parseError) {
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const poseData = JSON.parse(jsonMatch[0]);
-            conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-            return poseData;
+        const result = await Promise.race([
+            llmReplay ? replayLLMExchange(provider, messages, options) : provider.complete(messages, options),
+            aborted
+        ]);
+        recordLLMExchange(provider, messages, result, null, Date.now() - started);
+        return result;
+    } catch (caught) {
+        const error = timedOut ? new Error(`${provider.name} timed out after ${provider.timeout / 1000}s`) : caught;
+        recordLLMExchange(provider, messages, null, error, Date.now() - started);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', cancel);
         }
-        throw new Error('Invalid JSON in Anthropic response');
     }
 }
 
-async function generateWithOllama(text) {
-    const modelName = document.getElementById('ollamaModel').value.trim() || 'llama2:7b';
-
-    const prompt = `Convert this pose description into specific IK target positions for a humanoid robot.
-    Description: "${text}"
-
-    Respond with JSON format like:
-    {
-        "leftHand": [x, y, z],
-        "rightHand": [x, y, z],
-        "description": "brief description"
-    }
-
-    Use coordinates relative to robot center, where:
-    - Forward is +Z, Back is -Z
-    - Right is +X, Left is -X
-    - Up is +Y, Down is -Y
-    - Normal reach distance is about 0.5-0.8 units`;
-
-    const response = await fetch('http://localhost:11434/api/generate', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            model: modelName,
-            prompt: prompt,
-            stream: false,
-            options: {
-                temperature: 0.3,
-                num_predict: 200
+// The abort listener goes once the wait is over, so retries don't pile them up on the signal
+function waitForLLMRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const cancel = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Request cancelled', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
             }
-        })
+            resolve();
+        }, delay);
+        if (signal) {
+            signal.addEventListener('abort', cancel, { once: true });
+        }
     });
+}
 
-    if (!response.ok) {
-        throw new Error(`Ollama API error: ${response.status}`);
+// Validate a single pose, a relative edit or a keyframe sequence from the model
+function validateLLMReply(poseData) {
+    if (poseData && Array.isArray(poseData.keyframes)) {
+        return validatePoseSequence(poseData);
     }
-
-    const data = await response.json();
-    const content = data.response.trim();
-
-    try {
-        const poseData = JSON.parse(content);
-        conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-        return poseData;
-    } catch (parseError) {
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const poseData = JSON.parse(jsonMatch[0]);
-            conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-            return poseData;
+    if (poseData && typeof poseData === 'object' && 'delta' in poseData) {
+        const resolved = applyPoseDelta(poseData, capturePose());
+        if (!resolved.pose) {
+            return { valid: false, errors: resolved.errors, clamped: [], pose: null };
         }
-        throw new Error('Invalid JSON in Ollama response');
+        return validatePose(resolved.pose);
     }
+    return validatePose(poseData);
 }
 
-async function generateWithLMStudio(text) {
-    const baseUrl = document.getElementById('lmstudioUrl').value.trim() || 'http://localhost:1234';
+function setConversationMode(enabled) {
+    conversationMode = enabled;
+    document.getElementById('chatTranscript').style.display = enabled ? 'block' : 'none';
+    renderChatTranscript();
+    console.log(`Conversation mode ${enabled ? 'on' : 'off'}`);
+}
 
-    const messages = [{
-        role: 'user',
-        content: `Convert this pose description into specific IK target positions for a humanoid robot.
-        Description: "${text}"
+function clearConversation() {
+    conversationHistory = [];
+    renderChatTranscript();
+    document.getElementById('llmResponse').textContent = '🗑 Started a new conversation';
+}
 
-        Respond with JSON format like:
-        {
-            "leftHand": [x, y, z],
-            "rightHand": [x, y, z],
-            "description": "brief description"
+// Pull the first complete JSON object out of a reply, skipping any prose or
+// code fences around it. Returns null if there is none.
+function extractPoseJSON(content) {
+    for (let start = content.indexOf('{'); start !== -1; start = content.indexOf('{', start + 1)) {
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = start; i < content.length; i++) {
+            const char = content[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        return JSON.parse(content.slice(start, i + 1));
+                    } catch (parseError) {
+                        break; // Not JSON after all - try the next opening brace
+                    }
+                }
+            }
         }
-
-        Use coordinates relative to robot center, where:
-        - Forward is +Z, Back is -Z
-        - Right is +X, Left is -X
-        - Up is +Y, Down is -Y
-        - Normal reach distance is about 0.5-0.8 units`
-    }];
-
-    const response = await fetch(`${baseUrl}/v1/chat/completions`, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-            messages: messages,
-            max_tokens: 300,
-            temperature: 0.3
-        })
-    });
-
-    if (!response.ok) {
-        throw new Error(`LM Studio API error: ${response.status}`);
     }
+    return null;
+}
 
-    const data = await response.json();
-    const content = data.choices[0].message.content.trim();
-
-    try {
-        const poseData = JSON.parse(content);
-        conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-        return poseData;
-    } catch (parseError) {
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const poseData = JSON.parse(jsonMatch[0]);
-            conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-            return poseData;
+// Top-level fields of a JSON object that has only partly arrived, keeping just the
+// values that are complete: arrays and objects once they close, strings and numbers
+// once the comma or brace after them arrives.
+function extractCompletedFields(partial) {
+    const fields = {};
+    const start = partial.indexOf('{');
+    if (start === -1) return fields;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let stringStart = -1;
+    let key = null;
+    let valueStart = -1;
+
+    const finishValue = end => {
+        if (key !== null && valueStart !== -1) {
+            try {
+                fields[key] = JSON.parse(partial.slice(valueStart, end));
+            } catch (parseError) {
+                // Malformed value - the full reply will fail validation instead
+            }
+        }
+        key = null;
+        valueStart = -1;
+    };
+
+    for (let i = start; i < partial.length; i++) {
+        const char = partial[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') {
+                inString = false;
+                if (depth === 1 && valueStart === -1) {
+                    key = JSON.parse(partial.slice(stringStart, i + 1));
+                } else if (depth === 1) {
+                    finishValue(i + 1);
+                }
+            }
+        } else if (char === '"') {
+            inString = true;
+            stringStart = i;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 1) {
+                finishValue(i + 1);
+            } else if (depth === 0) {
+                finishValue(i);
+                break;
+            }
+        } else if (depth === 1 && char === ':') {
+            valueStart = i + 1;
+        } else if (depth === 1 && char === ',') {
+            finishValue(i);
         }
-        throw new Error('Invalid JSON in LM Studio response');
     }
+    return fields;
 }
 
-async function generateWithTogether(text) {
-    const apiKey = document.getElementById('togetherKey').value.trim();
-    if (!apiKey) {
-        throw new Error('Together AI API key required');
+// Parse a provider reply. Failures carry the raw reply so it can be sent back for repair.
+function parsePoseReply(content, providerName) {
+    const poseData = extractPoseJSON(content);
+    if (!poseData) {
+        console.error(`No JSON found in ${providerName} response:`, content);
+        const error = new Error(`No valid JSON object found in ${providerName} response`);
+        error.reply = content;
+        throw error;
     }
+    return poseData;
+}
 
-    const messages = [{
-        role: 'user',
-        content: `Convert this pose description into specific IK target positions for a humanoid robot.
-        Description: "${text}"
-
-        Respond with JSON format like:
-        {
-            "leftHand": [x, y, z],
-            "rightHand": [x, y, z],
-            "description": "brief description"
-        }
+function applyLLMPose(poseData, transitionOptions) {
+    console.log('Applying LLM pose:', poseData);
 
-        Use coordinates relative to robot center, where:
-        - Forward is +Z, Back is -Z
-        - Right is +X, Left is -X
-        - Up is +Y, Down is -Y
-        - Normal reach distance is about 0.5-0.8 units`
-    }];
-
-    const response = await fetch('https://api.together.xyz/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-            model: 'meta-llama/Llama-2-70b-chat-hf',
-            messages: messages,
-            max_tokens: 300,
-            temperature: 0.3
-        })
-    });
+    // Tween every schema field the pose names - chains, poles, rotations, hips and root
+    const transition = transitionToPose(poseData, transitionOptions);
 
-    if (!response.ok) {
-        throw new Error(`Together AI API error: ${response.status}`);
-    }
+    // Show targets briefly
+    showTargetsTemporarily();
+    return transition;
+}
 
-    const data = await response.json();
-    const content = data.choices[0].message.content.trim();
+function testIKSystem() {
+    console.log('Testing IK system...');
+    // Test by moving left hand to a visible position
+    moveIKTarget('leftHand', 0.8, 1.2, 0.6);
+    document.getElementById('llmResponse').textContent = '🧪 IK Test: Moved left hand forward';
 
-    try {
-        const poseData = JSON.parse(content);
-        conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-        return poseData;
-    } catch (parseError) {
-        const jsonMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const poseData = JSON.parse(jsonMatch[0]);
-            conversationHistory.push({ input: text, output: JSON.stringify(poseData) });
-            return poseData;
+    // Report convergence once the animate loop has solved the new target
+    setTimeout(() => {
+        if (!ybotInstance || !ybotInstance.isInitialized) return;
+        const result = ybotInstance.getIKStatus().leftHand;
+        if (result) {
+            const state = result.converged ? '✅ converged' : '⚠️ not converged';
+            document.getElementById('llmResponse').textContent =
+                `🧪 IK Test: left hand ${state} (error ${(result.error * 100).toFixed(1)} cm, ${result.iterations} iterations)`;
         }
-        throw new Error('Invalid JSON in Together AI response');
-    }
-}
\ No newline at end of file
+    }, 500);
+}
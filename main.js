@@ -5,14 +5,21 @@ let scene, camera, renderer;
 let ybot, ground;
 let ybotInstance; // YBot class instance
 let ikTargets = {}; // Keep for UI compatibility
-let ikFrameCounter = 0; // For IK update damping
+let poleTargets = {}; // Elbow/knee bend hint handles, keyed by chain name
 let lastTime = 0; // For physics delta time
 let collisionSystem; // Collision detection system
-let llmEngine;
+let ragdoll = null; // RagdollPhysics while the ragdoll is falling or blending back to IK
+let collisionScene = null; // { name, colliders, meshes } of the loaded obstacle scene
+let poseTransitions = new PoseTransitionManager(); // Active pose tweens, advanced in animate()
+let sequencePlayer = new PoseSequencePlayer(); // Keyframed pose playback, advanced in animate()
+let llmEngine; // WebLLMEngine once the in-browser model has been started
 let poseHistory = [];
+let savedPoses = {}; // Named poses saved by the user, persisted in localStorage
 let currentPoseIndex = -1;
-let llmProvider = 'webllm'; // 'webllm' or 'openai'
+let llmProvider = 'webllm'; // Id of the selected adapter in llmProviders (providers/)
+let llmFallbackChain = ['openai']; // Providers tried in order when the selected one fails
 let openaiApiKey = '';
+let keyVault = new KeyVault(); // Encrypted provider keys in localStorage
 
 // Debug visualization
 let boneVisualizations = [];
@@ -433,12 +440,27 @@ function init() {
 
     // Add IK targets to scene
     createIKTargets();
+    createPoleTargets();
+
+    // Sequence panel follows playback
+    sequencePlayer.onUpdate = updateSequenceControls;
+    sequencePlayer.onComplete = (sequence) => {
+        document.getElementById('llmResponse').textContent = `🎬 Finished: ${sequence.description || 'sequence'}`;
+    };
+    populateSequenceSelect();
 
     // Load YBot
     loadYBot();
 
-    // Initialize WebLLM
-    initWebLLM();
+    // Provider dropdown and config panels come from the adapter registry
+    buildLLMProviderControls();
+    loadLLMFallbackChain();
+    initKeyVault();
+    loadPromptTemplate();
+    loadSavedPoses();
+
+    // Warm up WebLLM if its model is already downloaded
+    startWebLLMIfCached();
 
     // Handle window resize
     window.addEventListener('resize', onWindowResize, false);
@@ -491,6 +513,27 @@ function createIKTargets() {
     }
 }
 
+function createPoleTargets() {
+    // Smaller handles for the elbow/knee bend hints - only shown once a pole is set
+    const poleConfigs = {
+        leftHand: { color: 0xff0000, position: [0.6, 1.2, -0.4] },
+        rightHand: { color: 0x0000ff, position: [-0.6, 1.2, -0.4] },
+        leftFoot: { color: 0xff8800, position: [0.15, 0.5, 0.6] },
+        rightFoot: { color: 0x0088ff, position: [-0.15, 0.5, 0.6] }
+    };
+
+    for (const [name, config] of Object.entries(poleConfigs)) {
+        poleTargets[name] = new THREE.Mesh(
+            new THREE.SphereGeometry(0.02),
+            new THREE.MeshBasicMaterial({ color: config.color, transparent: true, opacity: 0.4, wireframe: true })
+        );
+        poleTargets[name].position.set(...config.position);
+        poleTargets[name].visible = false; // Hidden by default
+        poleTargets[name].userData.active = false; // True while the chain uses this pole
+        scene.add(poleTargets[name]);
+    }
+}
+
 function loadYBot() {
     const loader = new THREE.FBXLoader();
 
@@ -578,6 +621,7 @@ function loadYBot() {
                     // Initialize capsule-based collision system
                     const capsuleCollider = new CapsuleCollider(ybotInstance, 1.0);
                     collisionSystem.addCollider(capsuleCollider);
+                    toggleSelfCollision(document.getElementById('selfCollisionToggle').checked);
                     console.log('Capsule-based collision system initialized');
 
                     // Apply saved visualization states
@@ -612,16 +656,40 @@ function loadYBot() {
     );
 }
 
-async function initWebLLM() {
+// Load the in-browser model (providers/webllm.js), showing download progress in llmStatus
+async function initWebLLM(config = getLLMProviderConfig('webllm')) {
+    if (!llmEngine) {
+        llmEngine = new WebLLMEngine();
+    }
+
+    const showStatus = message => {
+        if (llmProvider === 'webllm') {
+            updateLLMStatus(message);
+        }
+    };
+
+    showStatus(`⏳ Loading WebLLM model ${config.model}...`);
     try {
-        console.log('WebLLM disabled - using OpenAI fallback...');
-        throw new Error('WebLLM disabled for stability');
+        await llmEngine.load(config.model, config.dtype, (loaded, total) => {
+            const percent = total > 0 ? Math.round(loaded / total * 100) : 0;
+            showStatus(`⬇️ Downloading WebLLM model: ${percent}% (${(loaded / 1048576).toFixed(0)} / ${(total / 1048576).toFixed(0)} MB)`);
+        });
+        showStatus('🤖 WebLLM Ready');
     } catch (error) {
-        console.log('Falling back to OpenAI API...');
-        updateLLMStatus('Using OpenAI API');
-        llmProvider = 'openai';
-        document.getElementById('llmProvider').value = 'openai';
-        document.getElementById('openaiConfig').style.display = 'block';
+        console.error('WebLLM failed to load:', error);
+        showStatus(`❌ WebLLM failed to load: ${error.message}`);
+        throw error;
+    }
+}
+
+// Start WebLLM right away only if its weights are cached; otherwise the
+// download waits until the first request
+async function startWebLLMIfCached() {
+    const config = getLLMProviderConfig('webllm');
+    if (await isWebLLMModelCached(config.model)) {
+        initWebLLM(config).catch(() => {}); // Status already shows the error
+    } else if (llmProvider === 'webllm') {
+        updateLLMStatus(getLLMProvider('webllm').status());
     }
 }
 
@@ -632,29 +700,43 @@ function animate(currentTime = 0) {
     const deltaTime = Math.min((currentTime - lastTime) / 1000, 1/30); // Cap at 30 FPS
     lastTime = currentTime;
 
-    ikFrameCounter++;
-
-    // Update physics every frame
-    if (ybotInstance) {
+    // Update physics every frame; the ragdoll replaces it while active
+    if (ybotInstance && !(ragdoll && ragdoll.active)) {
         ybotInstance.updatePhysics(deltaTime, collisionSystem);
     }
+    if (collisionSystem && collisionSystem.benchmark) {
+        updateCollisionBenchmarkDisplay();
+    }
 
-    // Only update IK every 6 frames for maximum stability
-    if (ikFrameCounter % 6 === 0) {
-        // Use YBot IK system
-        if (ybotInstance && ybotInstance.isInitialized) {
-            // Enable physics mode (disable spine IK) when YBot has velocity or is not grounded
-            const physicsMode = ybotInstance && (
-                !ybotInstance.isGrounded ||
-                Math.abs(ybotInstance.velocity.x) > 0.01 ||
-                Math.abs(ybotInstance.velocity.y) > 0.01 ||
-                Math.abs(ybotInstance.velocity.z) > 0.01
-            );
-            ybotInstance.updateIK(physicsMode);
-        } else {
-            // Simple IK system (no character loaded)
-            applySimpleIK();
+    // Advance sequences and pose transitions before solving so IK sees this frame's targets
+    sequencePlayer.update(deltaTime);
+    poseTransitions.update(deltaTime);
+
+    if (ragdoll && ragdoll.active) {
+        ragdoll.step(deltaTime);
+    } else if (ybotInstance && ybotInstance.isInitialized) {
+        // Solve IK every frame - the solver converges within a single update
+        if (ragdoll) {
+            ragdoll.restoreIKPose();
+        }
+
+        // Enable physics mode (disable spine IK) when YBot has velocity or is not grounded
+        const physicsMode = ybotInstance && (
+            !ybotInstance.isGrounded ||
+            Math.abs(ybotInstance.velocity.x) > 0.01 ||
+            Math.abs(ybotInstance.velocity.y) > 0.01 ||
+            Math.abs(ybotInstance.velocity.z) > 0.01
+        );
+        ybotInstance.updateIK(physicsMode);
+
+        // Ease out of the ragdoll pose, then drop it
+        if (ragdoll && ragdoll.blendToIK(deltaTime)) {
+            ragdoll.dispose();
+            ragdoll = null;
         }
+    } else {
+        // Simple IK system (no character loaded)
+        applySimpleIK();
     }
 
     // Update bone and joint visualizations if enabled
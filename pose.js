@@ -0,0 +1,364 @@
+// pose.js - Versioned full-body pose schema shared by presets, prompts, history and the LLM
+
+// Version 1 pose (every field optional except "version"):
+// {
+//     version: 1,
+//     description: "brief description",
+//     leftHand, rightHand, leftFoot, rightFoot, head: [x, y, z]       end bone targets
+//     leftHandPoleTarget, rightHandPoleTarget,
+//     leftFootPoleTarget, rightFootPoleTarget: [x, y, z]               elbow/knee bend hints
+//     leftHandRotation, ..., headRotation: [x, y, z] degrees           end bone orientation
+//     hipsOffset: [x, y, z]                                            hips shift from rest
+//     rootPosition: [x, y, z]                                          where the character stands
+//     rootRotation: [x, y, z] degrees                                  which way it faces
+// }
+// Targets and poles are in character space: meters from the root, +X to the
+// character's left, +Y up, +Z forward. They move with the root.
+// Poses without "version" predate the schema; they only used hand and foot
+// targets in world space with the root at the origin, so they read as version 1.
+const poseSchemaVersion = 1;
+
+// Chains a pose can name, in the order they are applied
+const ikChainNames = ['leftHand', 'rightHand', 'leftFoot', 'rightFoot', 'head'];
+
+// Schema description for every provider prompt
+const poseSchemaPrompt = `Respond with a JSON pose in this format (version ${poseSchemaVersion}):
+{
+    "version": ${poseSchemaVersion},
+    "leftHand": [x, y, z],
+    "rightHand": [x, y, z],
+    "leftFoot": [x, y, z],
+    "rightFoot": [x, y, z],
+    "head": [x, y, z],
+    "description": "brief description"
+}
+
+Coordinates are meters relative to the robot's root (between its feet, on the floor), in the robot's own axes:
+- Forward is +Z, Back is -Z
+- The robot's left is +X, its right is -X
+- Up is +Y, Down is -Y
+- Standing: shoulders are at [±0.19, 1.44, -0.06], hips at [±0.09, 0.93, 0], the head at [0, 1.6, 0],
+  feet at [±0.1, 0.12, 0.05], hands hang near [±0.2, 0.9, 0]
+- Arms reach about 0.55 from the shoulder, legs about 0.83 from the hip
+
+Leave out chains the description doesn't move. Optional fields:
+- "leftHandPoleTarget", "rightHandPoleTarget": [x, y, z] point the elbow bends toward, e.g. elbows out: "leftHandPoleTarget": [0.8, 1.2, -0.2], "rightHandPoleTarget": [-0.8, 1.2, -0.2]
+- "leftFootPoleTarget", "rightFootPoleTarget": [x, y, z] point the knee bends toward, e.g. knees forward: "leftFootPoleTarget": [0.15, 0.5, 0.6]
+- "leftHandRotation", "rightHandRotation", "leftFootRotation", "rightFootRotation", "headRotation": [x, y, z] Euler degrees
+  about the robot's axes, relative to the T-pose (palms down, head level), e.g. palms forward: [-90, 0, 0],
+  look down: "headRotation": [20, 0, 0], turn head left: [0, 30, 0], tilt head left: [0, 0, -20]
+- "hipsOffset": [x, y, z] shift of the hips from standing, e.g. crouch: [0, -0.25, 0]; keep the feet on the floor
+- "rootPosition": [x, y, z] where the robot stands in the world, e.g. step forward: [0, 0, 0.5]
+- "rootRotation": [x, y, z] Euler degrees the whole robot turns, e.g. face left: [0, 90, 0]`;
+
+// Upgrade a pose from any known version to the current schema. Returns a new object.
+function normalizePose(poseData) {
+    const pose = Object.assign({}, poseData);
+    const version = pose.version === undefined ? 0 : pose.version;
+
+    if (version > poseSchemaVersion) {
+        console.warn(`Pose schema version ${version} is newer than ${poseSchemaVersion} - applying known fields only`);
+    }
+
+    // Version 0 had no root, so its world coordinates are already character space
+    pose.version = poseSchemaVersion;
+    return pose;
+}
+
+// Current root transform, or the origin when no character is loaded
+function getRootTransform() {
+    const root = ybotInstance && ybotInstance.object3D;
+    return {
+        position: root ? root.position.clone() : new THREE.Vector3(),
+        quaternion: root ? root.quaternion.clone() : new THREE.Quaternion()
+    };
+}
+
+function characterToWorld(position, rootTransform) {
+    return new THREE.Vector3().fromArray(position)
+        .applyQuaternion(rootTransform.quaternion)
+        .add(rootTransform.position);
+}
+
+function worldToCharacter(position, rootTransform) {
+    return position.clone()
+        .sub(rootTransform.position)
+        .applyQuaternion(rootTransform.quaternion.clone().invert());
+}
+
+// Millimeters and tenths of a degree are plenty for history entries and LLM context
+function roundPoseArray(values, digits) {
+    return values.map(value => parseFloat(value.toFixed(digits)));
+}
+
+function quaternionToDegrees(quaternion) {
+    const euler = new THREE.Euler().setFromQuaternion(quaternion);
+    return roundPoseArray([euler.x, euler.y, euler.z].map(THREE.MathUtils.radToDeg), 1);
+}
+
+// Snapshot of the current goals as a full version 1 pose
+function capturePose(description) {
+    const rootTransform = getRootTransform();
+    const pose = { version: poseSchemaVersion };
+
+    for (const chainName of ikChainNames) {
+        if (ikTargets[chainName]) {
+            pose[chainName] = roundPoseArray(worldToCharacter(ikTargets[chainName].position, rootTransform).toArray(), 3);
+        }
+
+        const pole = poleTargets[chainName];
+        if (pole && pole.userData.active) {
+            pose[`${chainName}PoleTarget`] = roundPoseArray(worldToCharacter(pole.position, rootTransform).toArray(), 3);
+        }
+
+        const rotation = ybotInstance && ybotInstance.ikTargetRotations[chainName];
+        if (rotation) {
+            pose[`${chainName}Rotation`] = quaternionToDegrees(rotation);
+        }
+    }
+
+    if (ybotInstance) {
+        pose.hipsOffset = roundPoseArray(ybotInstance.hipsOffset.toArray(), 3);
+    }
+    pose.rootPosition = roundPoseArray(rootTransform.position.toArray(), 3);
+    pose.rootRotation = quaternionToDegrees(rootTransform.quaternion);
+
+    if (description) {
+        pose.description = description;
+    }
+    return pose;
+}
+
+// Every field a version 1 pose may contain
+const poseFieldKinds = {
+    version: 'version',
+    description: 'text',
+    hipsOffset: 'position',
+    rootPosition: 'position',
+    rootRotation: 'rotation'
+};
+for (const chainName of ikChainNames) {
+    poseFieldKinds[chainName] = 'position';
+    poseFieldKinds[`${chainName}Rotation`] = 'rotation';
+    if (chainName !== 'head') {
+        poseFieldKinds[`${chainName}PoleTarget`] = 'position';
+    }
+}
+
+const maxHipsOffset = 0.5; // meters
+
+function isFiniteNumberArray(value, lengths) {
+    return Array.isArray(value) &&
+        lengths.includes(value.length) &&
+        value.every(item => typeof item === 'number' && isFinite(item));
+}
+
+function describeValue(value) {
+    if (Array.isArray(value)) {
+        const items = value.map(item => (typeof item === 'number' ? String(item) : JSON.stringify(item)));
+        return `an array of ${value.length} ([${items.join(', ')}])`;
+    }
+    if (value === null) return 'null';
+    return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+// Strict check of a pose against the schema. Targets beyond a chain's reach are
+// pulled back onto its reach sphere instead of failing.
+// Returns { valid, errors: [{ field, message }], clamped: [{ field, distance }], pose }
+function validatePose(poseData, path = '') {
+    const errors = [];
+    const clamped = [];
+    const pose = {};
+    const poseName = path ? path.replace(/\.$/, '') : 'pose';
+
+    if (!poseData || typeof poseData !== 'object' || Array.isArray(poseData)) {
+        errors.push({ field: poseName, message: `expected a JSON object, got ${describeValue(poseData)}` });
+        return { valid: false, errors, clamped, pose: null };
+    }
+
+    for (const [field, value] of Object.entries(poseData)) {
+        const name = `${path}${field}`;
+        const kind = poseFieldKinds[field];
+
+        if (!kind) {
+            errors.push({ field: name, message: 'unknown field' });
+        } else if (kind === 'version') {
+            if (!Number.isInteger(value) || value < 1 || value > poseSchemaVersion) {
+                errors.push({ field: name, message: `expected ${poseSchemaVersion}, got ${describeValue(value)}` });
+            }
+        } else if (kind === 'text') {
+            if (typeof value !== 'string') {
+                errors.push({ field: name, message: `expected a string, got ${describeValue(value)}` });
+            }
+        } else if (kind === 'position') {
+            if (!isFiniteNumberArray(value, [3])) {
+                errors.push({ field: name, message: `expected [x, y, z] numbers, got ${describeValue(value)}` });
+            }
+        } else if (!isFiniteNumberArray(value, [3, 4])) {
+            errors.push({ field: name, message: `expected [x, y, z] degrees or an [x, y, z, w] quaternion, got ${describeValue(value)}` });
+        } else if (value.length === 4 && value.every(item => item === 0)) {
+            errors.push({ field: name, message: 'quaternion has zero length' });
+        }
+
+        pose[field] = value;
+    }
+
+    if (!Object.keys(pose).some(field => field !== 'version' && field !== 'description')) {
+        errors.push({ field: poseName, message: 'names no targets' });
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, clamped, pose: null };
+    }
+
+    // Hips can only shift so far before the legs can't follow
+    if (pose.hipsOffset) {
+        const offset = new THREE.Vector3().fromArray(pose.hipsOffset);
+        if (offset.length() > maxHipsOffset) {
+            clamped.push({ field: `${path}hipsOffset`, distance: offset.length() - maxHipsOffset });
+            pose.hipsOffset = offset.setLength(maxHipsOffset).toArray();
+        }
+    }
+
+    // Reach spheres are measured at rest, so they move with the hips
+    if (ybotInstance && ybotInstance.chainReach) {
+        const hipsOffset = new THREE.Vector3().fromArray(pose.hipsOffset || ybotInstance.hipsOffset.toArray());
+        for (const chainName of ikChainNames) {
+            const reach = ybotInstance.chainReach[chainName];
+            if (!reach || !pose[chainName]) continue;
+
+            const center = reach.center.clone().add(hipsOffset);
+            const target = new THREE.Vector3().fromArray(pose[chainName]);
+            const distance = target.distanceTo(center);
+            if (distance > reach.length) {
+                clamped.push({ field: `${path}${chainName}`, distance: distance - reach.length });
+                pose[chainName] = roundPoseArray(target.sub(center).setLength(reach.length).add(center).toArray(), 3);
+            }
+        }
+    }
+
+    return { valid: true, errors, clamped, pose };
+}
+
+// Same checks for a keyframe sequence (see timeline.js); each keyframe pose is validated and clamped
+function validatePoseSequence(sequence) {
+    const errors = [];
+    const clamped = [];
+    const allowed = ['version', 'description', 'mode', 'easing', 'keyframes'];
+
+    for (const field of Object.keys(sequence)) {
+        if (!allowed.includes(field)) {
+            errors.push({ field: field, message: 'unknown field' });
+        }
+    }
+    if (sequence.mode !== undefined && !sequenceModes.includes(sequence.mode)) {
+        errors.push({ field: 'mode', message: `expected one of ${sequenceModes.join(', ')}, got ${describeValue(sequence.mode)}` });
+    }
+    if (sequence.easing !== undefined && !easingFunctions[sequence.easing]) {
+        errors.push({ field: 'easing', message: `unknown easing ${describeValue(sequence.easing)}` });
+    }
+    if (!Array.isArray(sequence.keyframes) || sequence.keyframes.length === 0) {
+        errors.push({ field: 'keyframes', message: `expected a non-empty array, got ${describeValue(sequence.keyframes)}` });
+        return { valid: false, errors, clamped, sequence: null };
+    }
+
+    const keyframes = sequence.keyframes.map((keyframe, index) => {
+        const path = `keyframes[${index}]`;
+        if (!keyframe || typeof keyframe !== 'object') {
+            errors.push({ field: path, message: `expected an object, got ${describeValue(keyframe)}` });
+            return null;
+        }
+        if (typeof keyframe.time !== 'number' || !isFinite(keyframe.time) || keyframe.time < 0) {
+            errors.push({ field: `${path}.time`, message: `expected seconds >= 0, got ${describeValue(keyframe.time)}` });
+        }
+        if (keyframe.easing !== undefined && !easingFunctions[keyframe.easing]) {
+            errors.push({ field: `${path}.easing`, message: `unknown easing ${describeValue(keyframe.easing)}` });
+        }
+
+        const result = validatePose(keyframe.pose, `${path}.pose.`);
+        errors.push(...result.errors);
+        clamped.push(...result.clamped);
+        return Object.assign({}, keyframe, { pose: result.pose });
+    });
+
+    if (errors.length > 0) {
+        return { valid: false, errors, clamped, sequence: null };
+    }
+    return { valid: true, errors, clamped, sequence: Object.assign({}, sequence, { keyframes }) };
+}
+
+// Relative edit from a conversation turn, e.g. "raise the left hand a bit more":
+// { delta: { leftHand: [0, 0.1, 0], headRotation: [0, 15, 0] }, description: "..." }
+// Positions move by the offset and rotations turn further by the delta rotation,
+// starting from basePose (a full pose such as capturePose()). Other fields stay absolute.
+// Returns { errors, pose }; the absolute pose still needs validatePose().
+function applyPoseDelta(poseData, basePose) {
+    const errors = [];
+    const pose = Object.assign({}, poseData);
+    const delta = poseData.delta;
+    delete pose.delta;
+
+    if (!delta || typeof delta !== 'object' || Array.isArray(delta)) {
+        errors.push({ field: 'delta', message: `expected a JSON object, got ${describeValue(delta)}` });
+        return { errors, pose: null };
+    }
+
+    for (const [field, value] of Object.entries(delta)) {
+        const name = `delta.${field}`;
+        const kind = poseFieldKinds[field];
+
+        if (kind !== 'position' && kind !== 'rotation') {
+            errors.push({ field: name, message: kind ? 'can only be set, not changed relatively' : 'unknown field' });
+        } else if (field in pose) {
+            errors.push({ field: name, message: 'also given as an absolute value' });
+        } else if (kind === 'position' && !isFiniteNumberArray(value, [3])) {
+            errors.push({ field: name, message: `expected [dx, dy, dz] numbers, got ${describeValue(value)}` });
+        } else if (kind === 'rotation' && !isFiniteNumberArray(value, [3, 4])) {
+            errors.push({ field: name, message: `expected [x, y, z] degrees or an [x, y, z, w] quaternion, got ${describeValue(value)}` });
+        } else if (kind === 'position' && !Array.isArray(basePose[field])) {
+            errors.push({ field: name, message: 'has no current value to move from' });
+        } else if (kind === 'position') {
+            pose[field] = roundPoseArray(basePose[field].map((item, index) => item + value[index]), 3);
+        } else {
+            // Unset rotations are still at rest
+            const base = YBot.parseRotation(basePose[field] || [0, 0, 0]);
+            pose[field] = quaternionToDegrees(YBot.parseRotation(value).multiply(base));
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors, pose: null };
+    }
+    return { errors, pose };
+}
+
+// JSON schema for a version 1 pose, for providers that can constrain their output.
+// allowDelta adds the relative "delta" object (see applyPoseDelta).
+function getPoseJSONSchema(allowDelta = false) {
+    const numbers = (minItems, maxItems) => ({ type: 'array', items: { type: 'number' }, minItems, maxItems });
+    const properties = {};
+    const deltaProperties = {};
+
+    for (const [field, kind] of Object.entries(poseFieldKinds)) {
+        if (kind === 'version') {
+            properties[field] = { type: 'integer', enum: [poseSchemaVersion] };
+        } else if (kind === 'text') {
+            properties[field] = { type: 'string' };
+        } else if (kind === 'position') {
+            properties[field] = numbers(3, 3);
+            deltaProperties[field] = numbers(3, 3);
+        } else {
+            properties[field] = numbers(3, 4);
+            deltaProperties[field] = numbers(3, 4);
+        }
+    }
+
+    if (allowDelta) {
+        properties.delta = { type: 'object', properties: deltaProperties, additionalProperties: false };
+    }
+    return { type: 'object', properties, required: [], additionalProperties: false };
+}
+
+function formatPoseErrors(errors) {
+    return errors.map(error => `${error.field}: ${error.message}`).join('\n');
+}
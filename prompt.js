@@ -0,0 +1,169 @@
+// prompt.js - One pose prompt for every LLM provider, built from an editable template
+
+// Placeholders filled in by buildPoseMessages():
+//   {{schema}}       pose format and coordinate system (pose.js)
+//   {{sequences}}    keyframe sequence format (timeline.js)
+//   {{examples}}     few-shot examples from posePresets and saved poses
+//   {{currentPose}}  where the targets are right now, as a pose
+const defaultPromptTemplate = `You are a pose generation AI for a humanoid robot. Convert natural language descriptions into specific 3D coordinates for inverse kinematics.
+
+{{schema}}
+
+{{sequences}}
+
+Examples:
+{{examples}}
+
+The robot's current pose is:
+{{currentPose}}
+Change only what the description asks for; fields you leave out stay as they are.
+
+Always respond with valid JSON only.`;
+
+// Motions (wave, nod, dance...) can come back as a keyframe sequence instead of a single pose
+const poseSequencePrompt = `For a repeating or moving action, respond with a keyframe sequence instead of a single pose:
+{
+    "description": "brief description",
+    "mode": "once" | "loop" | "pingpong",
+    "keyframes": [
+        {"time": 0, "pose": {"rightHand": [-0.45, 1.7, 0.1]}},
+        {"time": 0.4, "pose": {"rightHand": [-0.25, 1.75, 0.15]}}
+    ]
+}
+"time" is in seconds; each "pose" uses the same fields as a single pose and keeps any field a keyframe leaves out.`;
+
+// Added to the system prompt in conversation mode (see setConversationMode)
+const poseConversationPrompt = `This is a conversation: each instruction edits the pose the robot is in now, which is sent with every message.
+For relative instructions ("a bit higher", "turn your head more"), put the changes in "delta" instead of repeating absolute values:
+{"delta": {"leftHand": [0, 0.1, 0], "headRotation": [0, 15, 0]}, "description": "left hand higher, head turned further"}
+Position deltas are meters added to the current value; rotation deltas are degrees of extra rotation on top of the current one. Fields outside "delta" are absolute.
+To mirror a pose, swap the left and right fields, negate their x positions and negate the y and z rotation angles.`;
+
+const maxPromptExamples = 8;
+const promptHistoryTurns = 3;
+const conversationHistoryTurns = 20; // Conversation mode keeps much more of the edit history
+
+let promptTemplate = defaultPromptTemplate;
+
+function loadPromptTemplate() {
+    const saved = localStorage.getItem('ybot_promptTemplate');
+    if (saved) {
+        promptTemplate = saved;
+        console.log('Loaded custom prompt template');
+    }
+}
+
+function setPromptTemplate(template) {
+    promptTemplate = template;
+    localStorage.setItem('ybot_promptTemplate', template);
+}
+
+function resetPromptTemplate() {
+    promptTemplate = defaultPromptTemplate;
+    localStorage.removeItem('ybot_promptTemplate');
+}
+
+// Replace {{name}} placeholders; unknown ones are left as written
+function renderPromptTemplate(template, values) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+// Drop bookkeeping and all-zero offsets so examples stay short
+function compactPoseExample(pose) {
+    const example = {};
+    for (const [field, value] of Object.entries(pose)) {
+        if (field === 'timestamp') continue;
+        if (['hipsOffset', 'rootPosition', 'rootRotation'].includes(field) && value.every(item => item === 0)) continue;
+        example[field] = value;
+    }
+    return example;
+}
+
+function buildPromptExamples() {
+    const poses = [...Object.values(posePresets), ...Object.values(savedPoses)]
+        .filter(pose => pose.description)
+        .slice(-maxPromptExamples);
+
+    return poses
+        .map(pose => `"${pose.description.toLowerCase()}" -> ${JSON.stringify(compactPoseExample(normalizePose(pose)))}`)
+        .join('\n');
+}
+
+// Same conversation for every provider; adapters translate it to their API.
+// repair: { reply, errors } from a rejected attempt (see generatePoseFromLLM)
+function buildPoseMessages(text, repair = null) {
+    const currentPose = JSON.stringify(compactPoseExample(capturePose()));
+    let system = renderPromptTemplate(promptTemplate, {
+        schema: poseSchemaPrompt,
+        sequences: poseSequencePrompt,
+        examples: buildPromptExamples(),
+        currentPose: currentPose
+    });
+    if (conversationMode) {
+        system += `\n\n${poseConversationPrompt}`;
+    }
+
+    const messages = [{ role: 'system', content: system }];
+
+    // Recent turns let the model follow up on "now raise it higher"
+    const turns = conversationMode ? conversationHistoryTurns : promptHistoryTurns;
+    for (const turn of conversationHistory.slice(-turns)) {
+        messages.push({ role: 'user', content: `Generate pose coordinates for: "${turn.input}"` });
+        messages.push({ role: 'assistant', content: turn.output });
+    }
+
+    // Conversation turns carry the live target state right next to the instruction
+    messages.push({
+        role: 'user',
+        content: conversationMode
+            ? `Current pose: ${currentPose}\nGenerate pose coordinates for: "${text}"`
+            : `Generate pose coordinates for: "${text}"`
+    });
+
+    if (repair) {
+        messages.push({ role: 'assistant', content: repair.reply });
+        messages.push({ role: 'user', content: buildRepairPrompt(repair) });
+    }
+    return messages;
+}
+
+// Tools the model calls to answer, for providers with structured output
+function buildPoseTools() {
+    const poseSchema = getPoseJSONSchema();
+    const sequenceSchema = {
+        type: 'object',
+        properties: {
+            description: { type: 'string' },
+            mode: { type: 'string', enum: sequenceModes },
+            easing: { type: 'string', enum: Object.keys(easingFunctions) },
+            keyframes: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        time: { type: 'number', minimum: 0 },
+                        pose: poseSchema,
+                        easing: { type: 'string', enum: Object.keys(easingFunctions) }
+                    },
+                    required: ['time', 'pose'],
+                    additionalProperties: false
+                }
+            }
+        },
+        required: ['keyframes'],
+        additionalProperties: false
+    };
+
+    return [
+        { name: 'set_pose', description: 'Move the robot into a single pose, or change the current one with "delta".', schema: getPoseJSONSchema(true) },
+        { name: 'play_sequence', description: 'Play a keyframed motion such as waving, nodding or dancing.', schema: sequenceSchema }
+    ];
+}
+
+function buildRepairPrompt(repair) {
+    return `Your previous reply was not a valid pose:
+${formatPoseErrors(repair.errors).split('\n').map(line => `- ${line}`).join('\n')}
+
+Reply again with only the corrected JSON.`;
+}
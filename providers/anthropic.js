@@ -0,0 +1,71 @@
+// anthropic.js - Anthropic messages API adapter
+
+registerLLMProvider({
+    id: 'anthropic',
+    name: 'Anthropic',
+    label: 'Anthropic Claude',
+    status: '🧠 Ready for Anthropic Claude',
+    help: { text: 'Get key from:', url: 'https://console.anthropic.com/', linkText: 'Anthropic Console' },
+    configSchema: [
+        { key: 'key', label: 'Anthropic API Key', type: 'password', required: true },
+        { key: 'model', label: 'Model', default: 'claude-3-haiku-20240307' },
+        llmProxyField
+    ],
+
+    async complete(messages, options) {
+        // The system prompt is a top-level field rather than a message
+        const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+        const body = {
+            model: options.config.model,
+            system: system || undefined,
+            messages: messages.filter(message => message.role !== 'system'),
+            max_tokens: options.maxTokens,
+            temperature: options.temperature
+        };
+        if (options.tools) {
+            body.tools = options.tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.schema
+            }));
+            body.tool_choice = { type: 'any' };
+        }
+
+        const transport = getProviderTransport(this, options.config, 'https://api.anthropic.com/v1/messages', {
+            'x-api-key': options.config.key
+        });
+        const url = transport.url;
+        const headers = Object.assign({ 'anthropic-version': '2023-06-01' }, transport.headers);
+
+        if (options.onDelta) {
+            let text = '';
+            let toolName = null;
+            let toolInput = '';
+            await streamProviderEvents(this, url, headers, Object.assign({}, body, { stream: true }), options.signal, event => {
+                if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+                    toolName = event.content_block.name;
+                } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+                    toolInput += event.delta.partial_json;
+                    options.onDelta(event.delta.partial_json);
+                } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    text += event.delta.text;
+                    options.onDelta(event.delta.text);
+                }
+            });
+
+            if (toolName) {
+                return { text: toolInput, toolCall: parseToolArguments(toolName, toolInput) };
+            }
+            return { text: text.trim(), toolCall: null };
+        }
+
+        const data = await postProviderJSON(this, url, headers, body, options.signal);
+
+        const toolUse = data.content.find(block => block.type === 'tool_use');
+        if (toolUse) {
+            return { text: JSON.stringify(toolUse.input), toolCall: { name: toolUse.name, arguments: toolUse.input } };
+        }
+        const text = data.content.filter(block => block.type === 'text').map(block => block.text).join('');
+        return { text: text.trim(), toolCall: null };
+    }
+});
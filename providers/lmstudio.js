@@ -0,0 +1,33 @@
+// lmstudio.js - LM Studio local server adapter (OpenAI-compatible API)
+
+registerLLMProvider({
+    id: 'lmstudio',
+    name: 'LM Studio',
+    label: 'LM Studio (Local)',
+    status: '🎭 Ready for LM Studio Local LLM',
+    help: { text: 'Download:', url: 'https://lmstudio.ai', linkText: 'LM Studio' },
+    timeout: 120000, // Local models can be slow on modest hardware
+    configSchema: [
+        { key: 'url', label: 'Server URL', default: 'http://localhost:1234' },
+        llmProxyField // Avoids CORS; the proxy's LMSTUDIO_PROXY_URL replaces the server URL
+    ],
+
+    async complete(messages, options) {
+        // LM Studio answers with whichever model is loaded
+        const body = {
+            messages: messages,
+            max_tokens: options.maxTokens,
+            temperature: options.temperature
+        };
+        if (options.tools) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'pose_reply', schema: toolsToResponseSchema(options.tools) }
+            };
+        }
+
+        const url = getProviderTransport(this, options.config, `${options.config.url}/v1/chat/completions`, {}).url;
+        const result = await completeOpenAIChat(this, url, {}, body, options);
+        return { text: result.text, toolCall: options.tools ? parseStructuredReply(result.text, options.tools) : null };
+    }
+});
@@ -0,0 +1,152 @@
+// mock.js - Scripted mock provider, plus recording and replaying real provider calls
+
+// Scripted replies and recorded exchanges share one entry format:
+//     "raw reply text"                                   // shorthand for { text }
+//     { text: '...', toolCall: { name, arguments } }     // toolCall is optional
+//     { error: { message, status, retryAfter, network } } // thrown like a failed fetch
+//     delay: 2000                                        // optional ms before answering
+// A recorded exchange adds { provider, messages, elapsed }. Fixture files are
+// { version: 1, exchanges: [...] }.
+let mockLLMScript = []; // Replies the mock provider gives in order, wrapping around
+let mockLLMScriptIndex = 0;
+let mockLLMScriptUrl = null; // Script file the current script was loaded from
+let llmRecording = null; // { version, exchanges, active } from the last recording
+let llmReplay = null; // { exchanges, used } while replaying a fixture
+
+// Valid pose the mock answers with when it has no script
+const mockLLMDefaultReply = JSON.stringify({
+    leftHand: [0.25, 0.9, 0.35],
+    rightHand: [-0.25, 0.9, 0.35],
+    description: 'Mock pose: hands forward'
+});
+
+function setMockLLMScript(entries) {
+    mockLLMScript = entries.slice();
+    mockLLMScriptIndex = 0;
+    mockLLMScriptUrl = null;
+}
+
+// Answer as an adapter would: wait, stream the reply through onDelta, or throw
+async function runMockLLMEntry(provider, entry, options) {
+    if (typeof entry === 'string') {
+        entry = { text: entry };
+    }
+
+    if (entry.delay) {
+        await new Promise((resolve, reject) => {
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Request cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', cancel);
+                }
+                resolve();
+            }, entry.delay);
+            if (options.signal) {
+                options.signal.addEventListener('abort', cancel, { once: true });
+            }
+        });
+    }
+
+    if (entry.error) {
+        const error = new Error(entry.error.message || `${provider.name} API error: ${entry.error.status}`);
+        for (const key of ['status', 'retryAfter', 'network']) {
+            if (entry.error[key] !== undefined) error[key] = entry.error[key];
+        }
+        throw error;
+    }
+
+    const text = entry.text !== undefined ? entry.text : JSON.stringify(entry.toolCall.arguments);
+    if (options.onDelta) {
+        for (let i = 0; i < text.length; i += 16) {
+            options.onDelta(text.slice(i, i + 16));
+        }
+    }
+    return { text: text, toolCall: entry.toolCall || null };
+}
+
+registerLLMProvider({
+    id: 'mock',
+    name: 'Mock',
+    label: 'Mock (Scripted, no network)',
+    status: () => mockLLMScript.length > 0
+        ? `🧪 Mock: ${mockLLMScript.length} scripted replies`
+        : '🧪 Mock answers with a fixed pose',
+    help: { text: 'Scripts and fixtures:', url: 'fixtures/mock-script.json', linkText: 'example script' },
+    timeout: 10000,
+    configSchema: [
+        { key: 'script', label: 'Script URL (JSON list of replies)' }
+    ],
+
+    async complete(messages, options) {
+        if (options.config.script && options.config.script !== mockLLMScriptUrl) {
+            const response = await fetch(options.config.script);
+            if (!response.ok) {
+                throw new Error(`Mock script not found: ${options.config.script}`);
+            }
+            setMockLLMScript(await response.json());
+            mockLLMScriptUrl = options.config.script;
+        }
+
+        let entry = mockLLMDefaultReply;
+        if (mockLLMScript.length > 0) {
+            entry = mockLLMScript[mockLLMScriptIndex % mockLLMScript.length];
+            mockLLMScriptIndex++;
+        }
+        return await runMockLLMEntry(this, entry, options);
+    }
+});
+
+function startLLMRecording() {
+    llmRecording = { version: 1, exchanges: [], active: true };
+}
+
+// Called for every real provider call while recording. Only the prompt and the
+// reply are kept, never the provider config with its keys.
+function recordLLMExchange(provider, messages, result, error, elapsed) {
+    if (!llmRecording || !llmRecording.active || llmReplay || provider.id === 'mock') return;
+    if (error && error.name === 'AbortError') return; // Cancelled by the user
+
+    const exchange = { provider: provider.id, messages: messages, elapsed: elapsed };
+    if (error) {
+        exchange.error = { message: error.message };
+        for (const key of ['status', 'retryAfter', 'network']) {
+            if (error[key] !== undefined) exchange.error[key] = error[key];
+        }
+    } else {
+        exchange.text = result.text;
+        exchange.toolCall = result.toolCall;
+    }
+    llmRecording.exchanges.push(exchange);
+    console.log(`Recorded ${provider.name} exchange (${llmRecording.exchanges.length} total)`);
+}
+
+function startLLMReplay(fixture) {
+    if (!fixture || !Array.isArray(fixture.exchanges)) {
+        throw new Error('Not an LLM fixture: expected { version, exchanges: [...] }');
+    }
+    llmReplay = { exchanges: fixture.exchanges, used: new Set() };
+}
+
+// Stands in for provider.complete() while replaying: the next unused exchange
+// recorded for this provider with exactly these messages, or failing that the
+// next one in recorded order (the prompt embeds the live pose, which may differ)
+async function replayLLMExchange(provider, messages, options) {
+    const key = JSON.stringify(messages);
+    const unused = llmReplay.exchanges
+        .map((exchange, index) => index)
+        .filter(index => !llmReplay.used.has(index) && llmReplay.exchanges[index].provider === provider.id);
+    let index = unused.find(i => JSON.stringify(llmReplay.exchanges[i].messages) === key);
+    if (index === undefined) {
+        if (unused.length === 0) {
+            throw new Error(`No recorded ${provider.name} reply left to replay`);
+        }
+        index = unused[0];
+        console.warn(`Replaying ${provider.name} exchange ${index + 1} although its prompt differs from this one`);
+    }
+
+    llmReplay.used.add(index);
+    return await runMockLLMEntry(provider, llmReplay.exchanges[index], options);
+}
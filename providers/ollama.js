@@ -0,0 +1,49 @@
+// ollama.js - Local Ollama server adapter
+
+registerLLMProvider({
+    id: 'ollama',
+    name: 'Ollama',
+    label: 'Ollama (Local)',
+    status: '🐪 Ready for Ollama Local LLM',
+    help: { text: 'Install:', url: 'https://ollama.ai', linkText: 'ollama.ai', note: '| Run: ollama serve' },
+    timeout: 120000, // Local models can be slow on modest hardware
+    configSchema: [
+        { key: 'model', label: 'Model name (e.g., llama2:7b)', default: 'llama2:7b' },
+        { key: 'url', label: 'Server URL', default: 'http://localhost:11434' },
+        llmProxyField // Avoids CORS; the proxy's OLLAMA_PROXY_URL replaces the server URL
+    ],
+
+    async complete(messages, options) {
+        const body = {
+            model: options.config.model,
+            messages: messages,
+            stream: Boolean(options.onDelta),
+            options: {
+                temperature: options.temperature,
+                num_predict: options.maxTokens
+            }
+        };
+        if (options.tools) {
+            // Ollama constrains the whole reply to a JSON schema
+            body.format = toolsToResponseSchema(options.tools);
+        }
+
+        const url = getProviderTransport(this, options.config, `${options.config.url}/api/chat`, {}).url;
+        let text = '';
+        if (options.onDelta) {
+            // One JSON object per line, each with the next piece of the reply
+            await streamProviderEvents(this, url, {}, body, options.signal, event => {
+                if (event.message && event.message.content) {
+                    text += event.message.content;
+                    options.onDelta(event.message.content);
+                }
+            });
+        } else {
+            const data = await postProviderJSON(this, url, {}, body, options.signal);
+            text = data.message.content;
+        }
+
+        text = text.trim();
+        return { text: text, toolCall: options.tools ? parseStructuredReply(text, options.tools) : null };
+    }
+});
@@ -0,0 +1,35 @@
+// openai.js - OpenAI chat completions adapter
+
+registerLLMProvider({
+    id: 'openai',
+    name: 'OpenAI',
+    label: 'OpenAI GPT-4',
+    status: '🔑 Ready for OpenAI GPT-4',
+    help: { text: 'Get key from:', url: 'https://platform.openai.com/api-keys', linkText: 'OpenAI Platform' },
+    configSchema: [
+        { key: 'key', label: 'OpenAI API Key', type: 'password', required: true },
+        { key: 'model', label: 'Model', default: 'gpt-4o-mini' },
+        llmProxyField
+    ],
+
+    async complete(messages, options) {
+        const body = {
+            model: options.config.model,
+            messages: messages,
+            max_tokens: options.maxTokens,
+            temperature: options.temperature
+        };
+        if (options.tools) {
+            body.tools = options.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.schema }
+            }));
+            body.tool_choice = 'required';
+        }
+
+        const transport = getProviderTransport(this, options.config, 'https://api.openai.com/v1/chat/completions', {
+            'Authorization': `Bearer ${options.config.key}`
+        });
+        return await completeOpenAIChat(this, transport.url, transport.headers, body, options);
+    }
+});
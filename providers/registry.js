@@ -0,0 +1,214 @@
+// registry.js - LLM provider adapters and the registry the provider dropdown is built from
+
+// An adapter is a plain object passed to registerLLMProvider():
+// {
+//     id: 'openai',                   // dropdown value; config inputs are `${id}${Key}`, the panel is `${id}Config`
+//     name: 'OpenAI',                 // short name for logs and errors
+//     label: 'OpenAI GPT-4',          // dropdown text
+//     status: '🔑 Ready for OpenAI GPT-4',   // llmStatus text when selected - a string or a function
+//     help: { text: 'Get key from:', url: '...', linkText: '...' },
+//     configSchema: [
+//         { key: 'key', label: 'API Key', type: 'password', required: true },
+//         { key: 'model', label: 'Model', default: 'gpt-4o-mini' },
+//         llmProxyField               // checkbox; config.proxy is true or false
+//     ],
+//     timeout: 30000,                 // optional ms before a request is given up (default llmRequestTimeout)
+//     async complete(messages, options) { ... }
+// }
+// complete() gets chat messages [{ role: 'system' | 'user' | 'assistant', content }] and
+// options { config, maxTokens, temperature, tools, signal, onDelta }, where config holds
+// the schema values and tools lists [{ name, description, schema }] the model may call.
+// It resolves with { text, toolCall }: the raw reply text, and { name, arguments } if the
+// model answered with a tool call or schema-constrained JSON. Adapters without structured
+// output ignore tools and leave toolCall null; the caller then extracts JSON from the text.
+// signal is an AbortSignal for cancelling. If onDelta is given, adapters that can stream
+// call it with each piece of reply text (or tool arguments) as it arrives.
+const llmProviders = {};
+const llmRequestTimeout = 30000; // ms, for adapters that don't set their own timeout
+const llmProxyPath = '/api/llm'; // cors_server.py forwards /api/llm/<provider id> with the key added
+const llmProxyField = { key: 'proxy', label: 'Via local proxy', type: 'checkbox' };
+
+function registerLLMProvider(provider) {
+    if (!provider.id || typeof provider.complete !== 'function') {
+        throw new Error('LLM provider needs an id and a complete(messages, options) function');
+    }
+    if (llmProviders[provider.id]) {
+        console.warn(`Replacing LLM provider: ${provider.id}`);
+    }
+
+    llmProviders[provider.id] = Object.assign({
+        name: provider.id,
+        label: provider.id,
+        configSchema: [],
+        timeout: llmRequestTimeout
+    }, provider);
+    return llmProviders[provider.id];
+}
+
+function getLLMProvider(id) {
+    const provider = llmProviders[id];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${id}`);
+    }
+    return provider;
+}
+
+function getProviderConfigInputId(provider, field) {
+    return `${provider.id}${field.key.charAt(0).toUpperCase()}${field.key.slice(1)}`;
+}
+
+// Where an adapter sends a request: straight to url with its key headers, or to
+// the local proxy, which holds the keys and knows the upstream URL itself
+function getProviderTransport(provider, config, url, keyHeaders) {
+    if (config.proxy) {
+        return { url: `${llmProxyPath}/${provider.id}`, headers: {} };
+    }
+    return { url: url, headers: keyHeaders };
+}
+
+// POST JSON to a provider. Failed requests throw an Error with .status (and
+// .retryAfter in seconds when the server sent one), or .network for connection
+// failures, so the caller can decide whether to retry.
+async function fetchProvider(provider, url, headers, body, signal) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+            body: JSON.stringify(body),
+            signal: signal
+        });
+    } catch (fetchError) {
+        if (fetchError.name === 'AbortError') throw fetchError;
+        const error = new Error(`${provider.name} network error: ${fetchError.message}`);
+        error.network = true;
+        throw error;
+    }
+
+    if (!response.ok) {
+        const error = new Error(`${provider.name} API error: ${response.status}`);
+        error.status = response.status;
+        const retryAfter = parseFloat(response.headers && response.headers.get('retry-after'));
+        if (!isNaN(retryAfter)) {
+            error.retryAfter = retryAfter;
+        }
+        throw error;
+    }
+    return response;
+}
+
+// Shared helper for adapters: POST JSON and return the parsed response
+async function postProviderJSON(provider, url, headers, body, signal) {
+    const response = await fetchProvider(provider, url, headers, body, signal);
+    return await response.json();
+}
+
+// Shared helper for streaming adapters: POST JSON and call onEvent with each parsed
+// event as it arrives. Handles both server-sent events ("data: {...}" lines) and
+// newline-delimited JSON.
+async function streamProviderEvents(provider, url, headers, body, signal, onEvent) {
+    const response = await fetchProvider(provider, url, headers, body, signal);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const handleLine = line => {
+        line = line.trim();
+        if (line.startsWith('data:')) {
+            line = line.slice(5).trim();
+        } else if (line.startsWith('event:') || line.startsWith(':')) {
+            return; // SSE event names and comments; the data line carries the type
+        }
+        if (!line || line === '[DONE]') return;
+
+        const event = JSON.parse(line);
+        if (event.error) {
+            throw new Error(`${provider.name} API error: ${event.error.message || event.error}`);
+        }
+        onEvent(event);
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the unfinished line for the next chunk
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer + decoder.decode());
+}
+
+// Shared by OpenAI-compatible adapters: run a chat completion, streamed through
+// options.onDelta when the caller wants it
+async function completeOpenAIChat(provider, url, headers, body, options) {
+    if (!options.onDelta) {
+        const data = await postProviderJSON(provider, url, headers, body, options.signal);
+        const message = data.choices[0].message;
+        const call = message.tool_calls && message.tool_calls[0];
+        if (call) {
+            return { text: call.function.arguments, toolCall: parseToolArguments(call.function.name, call.function.arguments) };
+        }
+        return { text: (message.content || '').trim(), toolCall: null };
+    }
+
+    let content = '';
+    let toolName = null;
+    let toolArguments = '';
+    await streamProviderEvents(provider, url, headers, Object.assign({}, body, { stream: true }), options.signal, event => {
+        const delta = event.choices && event.choices[0] && event.choices[0].delta;
+        if (!delta) return;
+
+        // Tool calls stream their name once, then the arguments in pieces
+        const call = delta.tool_calls && delta.tool_calls[0];
+        if (call && call.function) {
+            toolName = call.function.name || toolName;
+            if (call.function.arguments) {
+                toolArguments += call.function.arguments;
+                options.onDelta(call.function.arguments);
+            }
+        } else if (delta.content) {
+            content += delta.content;
+            options.onDelta(delta.content);
+        }
+    });
+
+    if (toolName) {
+        return { text: toolArguments, toolCall: parseToolArguments(toolName, toolArguments) };
+    }
+    return { text: content.trim(), toolCall: null };
+}
+
+// One JSON schema accepting any of the tools' arguments, for APIs that constrain
+// the whole reply to a schema instead of offering tools
+function toolsToResponseSchema(tools) {
+    return tools.length === 1 ? tools[0].schema : { anyOf: tools.map(tool => tool.schema) };
+}
+
+// Turn schema-constrained reply text into a tool call, matching it to the tool
+// whose required fields it has. Returns null if the text isn't JSON.
+function parseStructuredReply(text, tools) {
+    let args;
+    try {
+        args = JSON.parse(text);
+    } catch (parseError) {
+        return null;
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) return null;
+
+    // Most specific schema first, so a sequence isn't mistaken for a pose
+    const candidates = [...tools].sort((a, b) => (b.schema.required || []).length - (a.schema.required || []).length);
+    const tool = candidates.find(candidate => (candidate.schema.required || []).every(field => field in args)) || tools[0];
+    return { name: tool.name, arguments: args };
+}
+
+// Parse tool call arguments that arrive as a JSON string. Returns null if they don't parse.
+function parseToolArguments(name, argumentText) {
+    try {
+        return { name: name, arguments: JSON.parse(argumentText) };
+    } catch (parseError) {
+        console.warn(`Could not parse ${name} arguments:`, argumentText);
+        return null;
+    }
+}
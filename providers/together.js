@@ -0,0 +1,28 @@
+// together.js - Together AI chat completions adapter
+
+registerLLMProvider({
+    id: 'together',
+    name: 'Together AI',
+    label: 'Together AI',
+    status: '🚀 Ready for Together AI',
+    help: { text: 'Get key from:', url: 'https://together.ai', linkText: 'Together AI' },
+    configSchema: [
+        { key: 'key', label: 'Together AI API Key', type: 'password', required: true },
+        { key: 'model', label: 'Model', default: 'meta-llama/Llama-2-70b-chat-hf' },
+        llmProxyField
+    ],
+
+    async complete(messages, options) {
+        // The default Llama-2 chat model can't call tools, so the pose comes back as text
+        const transport = getProviderTransport(this, options.config, 'https://api.together.xyz/v1/chat/completions', {
+            'Authorization': `Bearer ${options.config.key}`
+        });
+        const result = await completeOpenAIChat(this, transport.url, transport.headers, {
+            model: options.config.model,
+            messages: messages,
+            max_tokens: options.maxTokens,
+            temperature: options.temperature
+        }, options);
+        return { text: result.text, toolCall: null };
+    }
+});
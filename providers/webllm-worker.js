@@ -0,0 +1,116 @@
+// webllm-worker.js - Runs a small chat model on CPU/WASM with transformers.js, off the main thread
+
+// Module worker started by WebLLMEngine (webllm.js). Messages in:
+//   { type: 'load', model, dtype }
+//   { type: 'generate', id, messages, maxTokens, temperature }
+//   { type: 'abort', id }
+// Messages out:
+//   { type: 'progress', file, loaded, total }    while weights download
+//   { type: 'ready', model }
+//   { type: 'token', id, text }                  reply text as it is generated
+//   { type: 'done', id, text } or { type: 'error', id, message }
+
+// transformers.js comes from jsDelivr at a pinned version, unless `npm run
+// fetch-transformers` has put a copy in vendor/transformers (gitignored): then
+// the worker starts with no network at all once the weights are cached
+const transformersVersion = '3.0.2';
+const vendoredTransformersUrl = new URL('../vendor/transformers/', import.meta.url).href;
+const cdnTransformersUrl = `https://cdn.jsdelivr.net/npm/@huggingface/transformers@${transformersVersion}/dist/`;
+
+let transformers = null; // The library module, imported by the first load
+let generator = null;
+let loadedModel = null;
+let runningId = null;
+let queue = Promise.resolve();
+let stoppingCriteria = null;
+const cancelledIds = new Set();
+
+async function importTransformers() {
+    let module;
+    try {
+        module = await import(`${vendoredTransformersUrl}transformers.min.js`);
+        // The library points ONNX Runtime at jsDelivr for its wasm; use the local copy
+        module.env.backends.onnx.wasm.wasmPaths = vendoredTransformersUrl;
+    } catch (error) {
+        module = await import(`${cdnTransformersUrl}transformers.min.js`);
+    }
+
+    // Weights come from the Hugging Face hub once, then from the browser's Cache Storage
+    module.env.allowLocalModels = false;
+    module.env.useBrowserCache = true;
+    return module;
+}
+
+async function load(model, dtype) {
+    if (!transformers) {
+        transformers = await importTransformers();
+        stoppingCriteria = new transformers.InterruptableStoppingCriteria();
+    }
+    if (!generator || loadedModel !== model) {
+        generator = null;
+        generator = await transformers.pipeline('text-generation', model, {
+            device: 'wasm', // CPU only, no WebGPU needed
+            dtype: dtype,
+            progress_callback: info => {
+                if (info.status === 'progress') {
+                    postMessage({ type: 'progress', file: info.file, loaded: info.loaded, total: info.total });
+                }
+            }
+        });
+        loadedModel = model;
+    }
+    postMessage({ type: 'ready', model: model });
+}
+
+async function generate(request) {
+    if (cancelledIds.delete(request.id)) return; // Cancelled while it waited its turn
+    if (!generator) {
+        throw new Error('WebLLM model is not loaded');
+    }
+
+    runningId = request.id;
+    stoppingCriteria.reset();
+
+    const streamer = new transformers.TextStreamer(generator.tokenizer, {
+        skip_prompt: true,
+        skip_special_tokens: true,
+        callback_function: text => postMessage({ type: 'token', id: request.id, text: text })
+    });
+
+    try {
+        const output = await generator(request.messages, {
+            max_new_tokens: request.maxTokens,
+            do_sample: request.temperature > 0,
+            temperature: request.temperature > 0 ? request.temperature : undefined,
+            streamer: streamer,
+            stopping_criteria: stoppingCriteria
+        });
+
+        // generated_text is the conversation with the new assistant message appended
+        const reply = output[0].generated_text[output[0].generated_text.length - 1].content;
+        postMessage({ type: 'done', id: request.id, text: reply });
+    } finally {
+        runningId = null;
+    }
+}
+
+self.onmessage = event => {
+    const message = event.data;
+
+    if (message.type === 'abort') {
+        if (message.id === runningId) {
+            stoppingCriteria.interrupt();
+        } else {
+            cancelledIds.add(message.id);
+        }
+        return;
+    }
+
+    // One load or generation at a time; the model is single-threaded state
+    const task = message.type === 'load'
+        ? () => load(message.model, message.dtype)
+        : () => generate(message);
+    queue = queue.then(task).catch(error => {
+        postMessage({ type: 'error', id: message.id, message: error.message });
+    });
+};
@@ -0,0 +1,175 @@
+// webllm.js - In-browser model adapter, running on CPU/WASM in a Web Worker
+
+// Talks to webllm-worker.js; one instance lives in the llmEngine global once loaded
+class WebLLMEngine {
+    constructor(workerUrl = 'providers/webllm-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.model = null;
+        this.ready = false;
+        this.loading = null; // Promise while a model loads
+        this.onProgress = null; // (loaded, total, file) while weights download
+        this.files = {}; // Download progress per weight file
+        this.requests = {}; // Pending generations by id
+        this.nextId = 1;
+    }
+
+    start() {
+        if (this.worker) return;
+
+        this.worker = new Worker(this.workerUrl, { type: 'module' });
+        this.worker.onmessage = event => this.handleMessage(event.data);
+        this.worker.onerror = event => {
+            console.error('WebLLM worker error:', event.message);
+            this.fail(new Error(`WebLLM worker failed: ${event.message || 'could not start'}`));
+        };
+    }
+
+    load(model, dtype, onProgress) {
+        if (this.model === model && (this.ready || this.loading)) {
+            return this.loading || Promise.resolve();
+        }
+
+        this.start();
+        this.model = model;
+        this.ready = false;
+        this.files = {};
+        this.onProgress = onProgress || null;
+        this.loading = new Promise((resolve, reject) => {
+            this.loadCallbacks = { resolve, reject };
+        });
+
+        console.log(`Loading WebLLM model ${model} (${dtype})...`);
+        this.worker.postMessage({ type: 'load', model: model, dtype: dtype });
+        return this.loading;
+    }
+
+    // Resolves with the full reply text; onDelta gets each piece as it is generated
+    generate(messages, options = {}) {
+        if (!this.ready) {
+            return Promise.reject(new Error('WebLLM model is not loaded'));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.requests[id] = { resolve, reject, onDelta: options.onDelta };
+
+            if (options.signal) {
+                options.signal.addEventListener('abort', () => {
+                    if (!this.requests[id]) return;
+                    delete this.requests[id];
+                    this.worker.postMessage({ type: 'abort', id: id });
+                    reject(new DOMException('Generation cancelled', 'AbortError'));
+                }, { once: true });
+            }
+
+            this.worker.postMessage({
+                type: 'generate',
+                id: id,
+                messages: messages,
+                maxTokens: options.maxTokens,
+                temperature: options.temperature
+            });
+        });
+    }
+
+    handleMessage(message) {
+        const request = this.requests[message.id];
+
+        if (message.type === 'progress') {
+            this.files[message.file] = { loaded: message.loaded, total: message.total };
+            const files = Object.values(this.files);
+            const loaded = files.reduce((sum, file) => sum + file.loaded, 0);
+            const total = files.reduce((sum, file) => sum + file.total, 0);
+            if (this.onProgress) {
+                this.onProgress(loaded, total, message.file);
+            }
+        } else if (message.type === 'ready') {
+            console.log(`WebLLM model ready: ${message.model}`);
+            this.ready = true;
+            this.loading = null;
+            this.loadCallbacks.resolve();
+        } else if (message.type === 'token') {
+            if (request && request.onDelta) {
+                request.onDelta(message.text);
+            }
+        } else if (message.type === 'done') {
+            if (request) {
+                delete this.requests[message.id];
+                request.resolve(message.text);
+            }
+        } else if (message.type === 'error') {
+            const error = new Error(`WebLLM: ${message.message}`);
+            if (message.id === undefined) {
+                this.fail(error);
+            } else if (request) {
+                delete this.requests[message.id];
+                request.reject(error);
+            }
+        }
+    }
+
+    // Loading failed: reject everything waiting so the caller can fall back
+    fail(error) {
+        if (this.loading) {
+            this.loading = null;
+            this.model = null;
+            this.loadCallbacks.reject(error);
+        }
+        for (const [id, request] of Object.entries(this.requests)) {
+            delete this.requests[id];
+            request.reject(error);
+        }
+    }
+}
+
+// True if the model's weights are already in the browser cache (transformers.js
+// keeps them in Cache Storage), so loading it needs no download
+async function isWebLLMModelCached(model) {
+    if (typeof caches === 'undefined') return false;
+    try {
+        const cache = await caches.open('transformers-cache');
+        const keys = await cache.keys();
+        return keys.some(request => request.url.includes(`/${model}/`) && request.url.endsWith('.onnx'));
+    } catch (error) {
+        return false;
+    }
+}
+
+registerLLMProvider({
+    id: 'webllm',
+    name: 'WebLLM',
+    label: 'WebLLM (In-Browser, CPU)',
+    status: () => {
+        if (llmEngine && llmEngine.ready) return '🤖 WebLLM Ready';
+        if (llmEngine && llmEngine.loading) return '⏳ WebLLM loading...';
+        return '💤 WebLLM downloads its model on first use';
+    },
+    help: {
+        text: 'Runs on CPU/WASM via',
+        url: 'https://huggingface.co/docs/transformers.js',
+        linkText: 'transformers.js',
+        note: '| weights are cached after the first download'
+    },
+    timeout: 600000, // Includes downloading the model on first use
+    configSchema: [
+        { key: 'model', label: 'Model', default: 'onnx-community/Qwen2.5-0.5B-Instruct' },
+        { key: 'dtype', label: 'Quantization', default: 'q4' }
+    ],
+
+    async complete(messages, options) {
+        if (!llmEngine || !llmEngine.ready || llmEngine.model !== options.config.model) {
+            // Load (and if needed download) the model on demand
+            await initWebLLM(options.config);
+        }
+
+        // No tool calling; the pose JSON is extracted from the reply text
+        const reply = await llmEngine.generate(messages, {
+            maxTokens: options.maxTokens,
+            temperature: options.temperature,
+            onDelta: options.onDelta,
+            signal: options.signal
+        });
+        return { text: reply.trim(), toolCall: null };
+    }
+});
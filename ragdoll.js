@@ -0,0 +1,297 @@
+// ragdoll.js - Rapier3D ragdoll built from the CapsuleCollider capsules
+
+// Rapier's compat build carries its wasm inline, so it loads with a plain import()
+const rapierModuleUrl = 'https://cdn.jsdelivr.net/npm/@dimforge/rapier3d-compat@0.19.3/+esm';
+let rapierLoading = null;
+
+function loadRapier() {
+    if (!rapierLoading) {
+        rapierLoading = import(rapierModuleUrl).then(async module => {
+            const RAPIER = module.default || module;
+            await RAPIER.init();
+            console.log(`Rapier ${RAPIER.version()} loaded`);
+            return RAPIER;
+        }).catch(error => {
+            rapierLoading = null; // Let the next attempt try again
+            throw error;
+        });
+    }
+    return rapierLoading;
+}
+
+// Collision groups are (membership << 16) | filter: the ragdoll's capsules hit the
+// floor but not each other, since neighbouring capsules overlap at every joint
+const ragdollFloorGroups = (0x0001 << 16) | 0x0002;
+const ragdollBodyGroups = (0x0002 << 16) | 0x0001;
+
+// One dynamic body per capsule, joined where the skeleton joins them: a capsule
+// hangs off its parent bone's capsule by a spherical joint (a limited revolute
+// joint where the bone has a hinge constraint, like elbows and knees), and
+// capsules leaving the same bone are welded together. Cone limits aren't
+// modelled, so shoulders, hips and the spine swing freely.
+// While active, step() writes the bodies back into the bones; release() then
+// blends from the fallen pose into whatever the IK solver produces.
+class RagdollPhysics {
+    constructor(rapier, ybotInstance, capsuleCollider, options = {}) {
+        this.rapier = rapier;
+        this.ybot = ybotInstance;
+        this.floorY = options.floorY !== undefined ? options.floorY : 0;
+        this.blendTime = options.blendTime !== undefined ? options.blendTime : 0.8; // Seconds back to IK
+        this.obstacles = options.obstacles || []; // Scene EnvironmentColliders to land on
+        this.state = 'active'; // 'active' while falling, 'blending' back to IK, then 'done'
+        this.bodies = []; // { body, capsule, restPosition }
+        this.drivenBones = new Map(); // bone -> { entry, restWorldQuat, restWorldPos }
+        this.ikPose = this.snapshotBones(); // Pose to blend back toward
+        this.ragdollPose = null;
+        this.blendElapsed = 0;
+
+        capsuleCollider.updateCapsules();
+        this.build(capsuleCollider.capsules);
+    }
+
+    get active() {
+        return this.state === 'active';
+    }
+
+    build(capsules) {
+        const RAPIER = this.rapier;
+        this.world = new RAPIER.World({ x: 0, y: -9.81, z: 0 });
+
+        this.world.createCollider(
+            RAPIER.ColliderDesc.cuboid(50, 0.1, 50)
+                .setTranslation(0, this.floorY - 0.1, 0)
+                .setCollisionGroups(ragdollFloorGroups)
+        );
+
+        for (const obstacle of this.obstacles) {
+            this.world.createCollider(this.createObstacleColliderDesc(obstacle).setCollisionGroups(ragdollFloorGroups));
+        }
+
+        // Bodies start unrotated, with the capsule shape turned along the bone instead.
+        // Every body frame then matches world space, so joint anchors are plain offsets
+        // and a bone's rotation is its body's rotation applied to its rest rotation.
+        const up = new THREE.Vector3(0, 1, 0);
+        for (const capsule of capsules) {
+            const center = new THREE.Vector3().addVectors(capsule.start, capsule.end).multiplyScalar(0.5);
+            const direction = new THREE.Vector3().subVectors(capsule.end, capsule.start).normalize();
+            const shapeRotation = new THREE.Quaternion().setFromUnitVectors(up, direction);
+
+            const body = this.world.createRigidBody(
+                RAPIER.RigidBodyDesc.dynamic()
+                    .setTranslation(center.x, center.y, center.z)
+                    .setLinearDamping(0.1)
+                    .setAngularDamping(0.8)
+            );
+            this.world.createCollider(
+                RAPIER.ColliderDesc.capsule(capsule.length / 2, capsule.radius)
+                    .setRotation({ x: shapeRotation.x, y: shapeRotation.y, z: shapeRotation.z, w: shapeRotation.w })
+                    .setDensity(1000) // Roughly water, like a body
+                    .setFriction(0.8)
+                    .setCollisionGroups(ragdollBodyGroups),
+                body
+            );
+
+            const entry = { body: body, capsule: capsule, restPosition: center };
+            this.bodies.push(entry);
+
+            // The first capsule leaving a bone drives that bone
+            if (!this.drivenBones.has(capsule.bone)) {
+                this.drivenBones.set(capsule.bone, {
+                    entry: entry,
+                    restWorldQuat: capsule.bone.getWorldQuaternion(new THREE.Quaternion()),
+                    restWorldPos: capsule.bone.getWorldPosition(new THREE.Vector3())
+                });
+            }
+        }
+
+        let jointCount = 0;
+        for (const entry of this.bodies) {
+            const driver = this.drivenBones.get(entry.capsule.bone);
+            const jointPosition = driver.restWorldPos;
+
+            if (driver.entry !== entry) {
+                // Another capsule from the same bone, e.g. hips to each leg
+                this.joinBodies(driver.entry, entry, jointPosition, null, 'fixed');
+                jointCount++;
+                continue;
+            }
+
+            const parent = this.bodies.find(other => other.capsule.child === entry.capsule.bone);
+            if (!parent) continue; // The root capsule
+
+            const constraint = this.ybot.jointConstraints[entry.capsule.bone.name];
+            if (constraint && constraint.type === 'hinge') {
+                this.joinBodies(parent, entry, jointPosition, constraint, 'revolute');
+            } else {
+                this.joinBodies(parent, entry, jointPosition, null, 'spherical');
+            }
+            jointCount++;
+        }
+
+        console.log(`Ragdoll: ${this.bodies.length} bodies, ${jointCount} joints`);
+    }
+
+    // Fixed Rapier collider matching a scene obstacle
+    createObstacleColliderDesc(obstacle) {
+        const RAPIER = this.rapier;
+        const toRotation = q => ({ x: q.x, y: q.y, z: q.z, w: q.w });
+
+        if (obstacle instanceof BoxCollider) {
+            return RAPIER.ColliderDesc.cuboid(obstacle.halfSize.x, obstacle.halfSize.y, obstacle.halfSize.z)
+                .setTranslation(obstacle.position.x, obstacle.position.y, obstacle.position.z)
+                .setRotation(toRotation(obstacle.quaternion));
+        }
+        if (obstacle instanceof SphereCollider) {
+            return RAPIER.ColliderDesc.ball(obstacle.radius)
+                .setTranslation(obstacle.position.x, obstacle.position.y, obstacle.position.z);
+        }
+        if (obstacle instanceof StaticCapsuleCollider) {
+            const center = obstacle.segment.getCenter(new THREE.Vector3());
+            const direction = obstacle.segment.delta(new THREE.Vector3());
+            const rotation = direction.lengthSq() > 0
+                ? new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction.clone().normalize())
+                : new THREE.Quaternion();
+            return RAPIER.ColliderDesc.capsule(direction.length() / 2, obstacle.radius)
+                .setTranslation(center.x, center.y, center.z)
+                .setRotation(toRotation(rotation));
+        }
+
+        const vertices = new Float32Array(obstacle.triangles.length * 9);
+        obstacle.triangles.forEach((entry, index) => {
+            entry.triangle.a.toArray(vertices, index * 9);
+            entry.triangle.b.toArray(vertices, index * 9 + 3);
+            entry.triangle.c.toArray(vertices, index * 9 + 6);
+        });
+        const indices = Uint32Array.from({ length: vertices.length / 3 }, (value, index) => index);
+        return RAPIER.ColliderDesc.trimesh(vertices, indices);
+    }
+
+    joinBodies(parent, child, worldAnchor, constraint, type) {
+        const RAPIER = this.rapier;
+        const anchor1 = worldAnchor.clone().sub(parent.restPosition);
+        const anchor2 = worldAnchor.clone().sub(child.restPosition);
+        const toVector = v => ({ x: v.x, y: v.y, z: v.z });
+
+        let data;
+        if (type === 'fixed') {
+            const identity = { x: 0, y: 0, z: 0, w: 1 };
+            data = RAPIER.JointData.fixed(toVector(anchor1), identity, toVector(anchor2), identity);
+        } else if (type === 'revolute') {
+            // Hinge axes are in the bone's own frame; body frames are world frames
+            const restWorldQuat = this.drivenBones.get(child.capsule.bone).restWorldQuat;
+            const axis = new THREE.Vector3().fromArray(constraint.axis).normalize().applyQuaternion(restWorldQuat);
+            data = RAPIER.JointData.revolute(toVector(anchor1), toVector(anchor2), toVector(axis));
+        } else {
+            data = RAPIER.JointData.spherical(toVector(anchor1), toVector(anchor2));
+        }
+
+        const joint = this.world.createImpulseJoint(data, parent.body, child.body, true);
+        joint.setContactsEnabled(false);
+        if (type === 'revolute') {
+            joint.setLimits(THREE.MathUtils.degToRad(constraint.min), THREE.MathUtils.degToRad(constraint.max));
+        }
+        return joint;
+    }
+
+    step(deltaTime) {
+        if (!this.active) return;
+
+        this.world.timestep = Math.min(Math.max(deltaTime, 1 / 240), 1 / 30);
+        this.world.step();
+        this.applyBodiesToBones();
+    }
+
+    // Turn each driven bone as its body has turned since the ragdoll was built.
+    // Only the hips move; every other bone keeps its length from its parent.
+    applyBodiesToBones() {
+        const root = this.ybot.object3D;
+        root.updateMatrixWorld(true);
+        const worldQuats = new Map([[root, root.getWorldQuaternion(new THREE.Quaternion())]]);
+
+        for (const bone of this.ybot.bones) {
+            const parentQuat = worldQuats.get(bone.parent);
+            const driver = this.drivenBones.get(bone);
+            if (!driver) {
+                worldQuats.set(bone, parentQuat.clone().multiply(bone.quaternion));
+                continue;
+            }
+
+            const rotation = driver.entry.body.rotation();
+            const bodyQuat = new THREE.Quaternion(rotation.x, rotation.y, rotation.z, rotation.w);
+            const worldQuat = bodyQuat.clone().multiply(driver.restWorldQuat);
+            bone.quaternion.copy(parentQuat.clone().invert().multiply(worldQuat));
+            worldQuats.set(bone, worldQuat);
+
+            // The hips follow their body's position too
+            if (!bone.parent.isBone) {
+                const translation = driver.entry.body.translation();
+                const worldPos = driver.restWorldPos.clone().sub(driver.entry.restPosition)
+                    .applyQuaternion(bodyQuat)
+                    .add(new THREE.Vector3(translation.x, translation.y, translation.z));
+                bone.position.copy(root.worldToLocal(worldPos));
+            }
+        }
+
+        root.updateMatrixWorld(true);
+    }
+
+    // Stop simulating and start blending back to IK over blendTime
+    release() {
+        if (!this.active) return;
+        this.state = 'blending';
+        this.ragdollPose = this.snapshotBones();
+        this.blendElapsed = 0;
+    }
+
+    // Called before the IK solve while blending, so the solver works from its own
+    // last result rather than the blended pose on screen
+    restoreIKPose() {
+        if (this.state === 'blending') {
+            this.applySnapshot(this.ikPose);
+        }
+    }
+
+    // Called after the IK solve: remember what IK produced and show a mix of the
+    // fallen pose and it. Returns true once the blend has finished.
+    blendToIK(deltaTime) {
+        if (this.state !== 'blending') return this.state === 'done';
+
+        this.ikPose = this.snapshotBones();
+        this.blendElapsed += deltaTime;
+        const t = Math.min(1, this.blendElapsed / this.blendTime);
+        if (t >= 1) {
+            this.state = 'done';
+            return true;
+        }
+
+        const eased = easingFunctions.easeInOutCubic(t);
+        this.ybot.bones.forEach((bone, index) => {
+            const from = this.ragdollPose[index];
+            const to = this.ikPose[index];
+            bone.quaternion.copy(from.quaternion).slerp(to.quaternion, eased);
+            bone.position.copy(from.position).lerp(to.position, eased);
+        });
+        this.ybot.object3D.updateMatrixWorld(true);
+        return false;
+    }
+
+    snapshotBones() {
+        return this.ybot.bones.map(bone => ({
+            quaternion: bone.quaternion.clone(),
+            position: bone.position.clone()
+        }));
+    }
+
+    applySnapshot(snapshot) {
+        this.ybot.bones.forEach((bone, index) => {
+            bone.quaternion.copy(snapshot[index].quaternion);
+            bone.position.copy(snapshot[index].position);
+        });
+        this.ybot.object3D.updateMatrixWorld(true);
+    }
+
+    dispose() {
+        this.world.free();
+        this.world = null;
+    }
+}
@@ -0,0 +1,152 @@
+// scene.js - JSON scene format that places environment colliders
+
+// Version 1 scene:
+// {
+//     version: 1,
+//     name: "Test room",
+//     colliders: [
+//         { type: "box", position: [x, y, z], size: [x, y, z], rotation: [x, y, z] },
+//         { type: "sphere", position: [x, y, z], radius: r },
+//         { type: "capsule", start: [x, y, z], end: [x, y, z], radius: r },
+//         { type: "mesh", vertices: [x, y, z, ...], indices: [a, b, c, ...] },
+//         { type: "mesh", url: "assets/rock.fbx" }
+//     ]
+// }
+// Scenes are in world space: meters, floor at y = 0, independent of where the
+// robot stands. Rotations are [x, y, z] degrees and optional. Meshes also take
+// position, rotation and scale (FBX files are usually centimeters, so 0.01);
+// indices are optional and mesh URLs are relative to the scene file. Any
+// collider can have a "name".
+const collisionSceneVersion = 1;
+
+const sceneColliderTypes = ['box', 'sphere', 'capsule', 'mesh'];
+
+function readSceneVector(entry, field, path, fallback) {
+    const value = entry[field];
+    if (value === undefined && fallback) {
+        return new THREE.Vector3().fromArray(fallback);
+    }
+    if (!isFiniteNumberArray(value, [3])) {
+        throw new Error(`${path}.${field}: expected [x, y, z] numbers, got ${describeValue(value)}`);
+    }
+    return new THREE.Vector3().fromArray(value);
+}
+
+function readSceneRotation(entry, path) {
+    const degrees = readSceneVector(entry, 'rotation', path, [0, 0, 0]);
+    return new THREE.Euler(
+        THREE.MathUtils.degToRad(degrees.x),
+        THREE.MathUtils.degToRad(degrees.y),
+        THREE.MathUtils.degToRad(degrees.z)
+    );
+}
+
+function readSceneRadius(entry, path) {
+    if (typeof entry.radius !== 'number' || !(entry.radius > 0)) {
+        throw new Error(`${path}.radius: expected a positive number, got ${describeValue(entry.radius)}`);
+    }
+    return entry.radius;
+}
+
+// Position, rotation and scale of a mesh entry as one matrix
+function readSceneMeshMatrix(entry, path) {
+    let scale = entry.scale !== undefined ? entry.scale : 1;
+    if (typeof scale === 'number') {
+        scale = [scale, scale, scale];
+    }
+    if (!isFiniteNumberArray(scale, [3])) {
+        throw new Error(`${path}.scale: expected a number or [x, y, z] numbers, got ${describeValue(entry.scale)}`);
+    }
+
+    return new THREE.Matrix4().compose(
+        readSceneVector(entry, 'position', path, [0, 0, 0]),
+        new THREE.Quaternion().setFromEuler(readSceneRotation(entry, path)),
+        new THREE.Vector3().fromArray(scale)
+    );
+}
+
+// One collider from a scene entry. Mesh entries with a url need the loaded
+// model passed as object.
+function createSceneCollider(entry, path, object) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`${path}: expected a JSON object, got ${describeValue(entry)}`);
+    }
+
+    let collider;
+    if (entry.type === 'box') {
+        const size = readSceneVector(entry, 'size', path);
+        if (Math.min(size.x, size.y, size.z) <= 0) {
+            throw new Error(`${path}.size: every side must be positive`);
+        }
+        collider = new BoxCollider(readSceneVector(entry, 'position', path), size, readSceneRotation(entry, path));
+    } else if (entry.type === 'sphere') {
+        collider = new SphereCollider(readSceneVector(entry, 'position', path), readSceneRadius(entry, path));
+    } else if (entry.type === 'capsule') {
+        collider = new StaticCapsuleCollider(readSceneVector(entry, 'start', path), readSceneVector(entry, 'end', path), readSceneRadius(entry, path));
+    } else if (entry.type === 'mesh') {
+        const matrix = readSceneMeshMatrix(entry, path);
+        if (object) {
+            matrix.decompose(object.position, object.quaternion, object.scale);
+            collider = MeshCollider.fromObject3D(object);
+        } else {
+            const vertices = entry.vertices;
+            if (!Array.isArray(vertices) || vertices.length < 9 || vertices.length % 3 !== 0 || !isFiniteNumberArray(vertices, [vertices.length])) {
+                throw new Error(`${path}.vertices: expected a flat list of x, y, z numbers, got ${describeValue(vertices)}`);
+            }
+            const vertexCount = vertices.length / 3;
+            if (entry.indices !== undefined && (!Array.isArray(entry.indices) || entry.indices.length % 3 !== 0 ||
+                !entry.indices.every(index => Number.isInteger(index) && index >= 0 && index < vertexCount))) {
+                throw new Error(`${path}.indices: expected vertex numbers below ${vertexCount}, three per triangle`);
+            }
+            collider = MeshCollider.fromArrays(vertices, entry.indices, matrix);
+        }
+        if (collider.triangles.length === 0) {
+            throw new Error(`${path}: mesh has no triangles`);
+        }
+    } else {
+        throw new Error(`${path}.type: expected one of ${sceneColliderTypes.join(', ')}, got ${describeValue(entry.type)}`);
+    }
+
+    if (typeof entry.name === 'string') {
+        collider.name = entry.name;
+    }
+    return collider;
+}
+
+// Resolves with { name, colliders }. baseUrl is where mesh URLs are relative to.
+async function loadCollisionScene(data, baseUrl) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.colliders)) {
+        throw new Error('Not a scene: expected { version, colliders: [...] }');
+    }
+    if (data.version !== undefined && data.version > collisionSceneVersion) {
+        console.warn(`Scene version ${data.version} is newer than ${collisionSceneVersion} - loading known colliders only`);
+    }
+
+    const colliders = [];
+    for (let i = 0; i < data.colliders.length; i++) {
+        const entry = data.colliders[i];
+        const path = `colliders[${i}]`;
+        let object = null;
+        if (entry && entry.type === 'mesh' && entry.url !== undefined) {
+            const url = baseUrl ? new URL(entry.url, new URL(baseUrl, window.location.href)).href : entry.url;
+            try {
+                object = await new THREE.FBXLoader().loadAsync(url);
+            } catch (error) {
+                throw new Error(`${path}.url: could not load ${entry.url}`);
+            }
+        }
+        colliders.push(createSceneCollider(entry, path, object));
+    }
+
+    const name = typeof data.name === 'string' ? data.name : 'Scene';
+    console.log(`Scene "${name}": ${colliders.length} colliders`);
+    return { name: name, colliders: colliders };
+}
+
+async function fetchCollisionScene(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Scene not found: ${url}`);
+    }
+    return await loadCollisionScene(await response.json(), url);
+}
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./support/browser');
+const { createYBot } = require('./support/skeleton');
+
+const { CollisionSystem, CapsuleCollider, FloorCollider, sweepAndPrune } = loadScripts(
+    ['collision.js', 'constraints.js', 'ik.js', 'ybot.js'],
+    ['CollisionSystem', 'CapsuleCollider', 'FloorCollider', 'sweepAndPrune']
+);
+
+function capsule(start, end, radius) {
+    return { start: new THREE.Vector3(...start), end: new THREE.Vector3(...end), radius: radius };
+}
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message || ''} ${actual} != ${expected}`);
+
+test('pointToCapsuleDistance measures from the capsule surface', () => {
+    const collider = new CapsuleCollider(null);
+    const vertical = capsule([0, 0, 0], [0, 1, 0], 0.1);
+
+    near(collider.pointToCapsuleDistance(new THREE.Vector3(0.5, 0.5, 0), vertical), 0.4, 'beside the middle');
+    near(collider.pointToCapsuleDistance(new THREE.Vector3(0, 0.5, 0.3), vertical), 0.2, 'in front');
+    near(collider.pointToCapsuleDistance(new THREE.Vector3(0, 1.5, 0), vertical), 0.4, 'past the end cap');
+    near(collider.pointToCapsuleDistance(new THREE.Vector3(0.3, -0.4, 0), vertical), 0.4, 'below and to the side of the start cap');
+});
+
+test('pointToCapsuleDistance is zero inside the capsule', () => {
+    const collider = new CapsuleCollider(null);
+    const slanted = capsule([0, 0, 0], [1, 1, 0], 0.2);
+
+    assert.strictEqual(collider.pointToCapsuleDistance(new THREE.Vector3(0.5, 0.5, 0), slanted), 0);
+    assert.strictEqual(collider.pointToCapsuleDistance(new THREE.Vector3(0.6, 0.5, 0.1), slanted), 0);
+    assert.strictEqual(collider.pointToCapsuleDistance(new THREE.Vector3(1.1, 1.1, 0), slanted), 0);
+});
+
+test('pointToCapsuleDistance treats a zero-length capsule as a sphere', () => {
+    const collider = new CapsuleCollider(null);
+    const sphere = capsule([1, 1, 1], [1, 1, 1], 0.25);
+
+    near(collider.pointToCapsuleDistance(new THREE.Vector3(1, 2, 1), sphere), 0.75);
+    assert.strictEqual(collider.pointToCapsuleDistance(new THREE.Vector3(1.1, 1, 1), sphere), 0);
+});
+
+test('CapsuleCollider builds one capsule per bone link, 80% of its length', () => {
+    const { ybot, bones } = createYBot();
+    const collider = new CapsuleCollider(ybot);
+
+    const links = ybot.bones.reduce((count, bone) => count + bone.children.filter(child => child.isBone).length, 0);
+    assert.strictEqual(collider.capsules.length, links);
+
+    const forearm = collider.capsules.find(c => c.bone === bones.mixamorigLeftForeArm);
+    near(forearm.length, 0.26 * 0.8, 'forearm length');
+    near(forearm.start.distanceTo(forearm.end), forearm.length, 'start to end');
+    const elbow = bones.mixamorigLeftForeArm.getWorldPosition(new THREE.Vector3());
+    near(forearm.start.distanceTo(elbow), 0.26 * 0.1, 'gap at the elbow');
+});
+
+test('FloorCollider reports no penetration for a skeleton standing clear of the floor', () => {
+    const { ybot } = createYBot();
+    const { capsules } = new CapsuleCollider(ybot);
+    const floor = new FloorCollider(0);
+
+    // The lowest capsule is the foot's, 1.1 cm clear: its toe end is 4.6 cm up, the radius 3.5 cm
+    assert.strictEqual(floor.checkCollision(ybot, capsules), false);
+    const result = floor.resolveCollision(ybot, capsules);
+    assert.strictEqual(result.penetration, 0);
+    assert.deepStrictEqual(result.normal.toArray(), [0, 1, 0]);
+});
+
+test('FloorCollider penetration is how far the lowest capsule sinks below the floor', () => {
+    const { ybot, root } = createYBot();
+    const body = new CapsuleCollider(ybot);
+    const floor = new FloorCollider(0);
+    root.position.y = -0.1;
+    body.updateCapsules();
+
+    assert.strictEqual(floor.checkCollision(ybot, body.capsules), true);
+    near(floor.resolveCollision(ybot, body.capsules).penetration, 0.1 - 0.011);
+});
+
+test('FloorCollider measures against its own floor height', () => {
+    const { ybot } = createYBot();
+    const { capsules } = new CapsuleCollider(ybot);
+    const raised = new FloorCollider(0.5);
+
+    assert.strictEqual(raised.checkCollision(ybot, capsules), true);
+    near(raised.resolveCollision(ybot, capsules).penetration, 0.5 - 0.011);
+});
+
+test('FloorCollider tests the body capsules CollisionSystem passes it as they move', () => {
+    const { ybot, root } = createYBot();
+    const system = new CollisionSystem();
+    const body = new CapsuleCollider(ybot);
+    const floor = new FloorCollider(0);
+    system.addCollider(body);
+    system.addCollider(floor);
+
+    const given = [];
+    const resolveCollision = floor.resolveCollision;
+    floor.resolveCollision = function (object, capsules) {
+        given.push(capsules);
+        return resolveCollision.call(this, object, capsules);
+    };
+
+    assert.strictEqual(system.checkCollisions(ybot), null);
+    root.position.y = -0.1;
+    near(system.checkCollisions(ybot).penetration, 0.1 - 0.011);
+    root.position.y = -0.2;
+    near(system.checkCollisions(ybot).penetration, 0.2 - 0.011);
+    assert.deepStrictEqual(given, [body.capsules, body.capsules]);
+    assert.strictEqual(given[0], body.capsules, 'the same capsules, not a copy');
+});
+
+test('sweepAndPrune finds exactly the overlapping boxes', () => {
+    // Deterministic scatter of boxes, checked against testing every pair
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const box = () => {
+        const min = new THREE.Vector3(random() * 4, random() * 4, random() * 4);
+        return new THREE.Box3(min, min.clone().add(new THREE.Vector3(random(), random(), random()).multiplyScalar(0.8)));
+    };
+    const boxesA = Array.from({ length: 60 }, box);
+    const boxesB = Array.from({ length: 25 }, box);
+    const sortPairs = pairs => pairs.map(pair => pair.join(',')).sort();
+
+    const between = [];
+    boxesA.forEach((a, i) => boxesB.forEach((b, j) => a.intersectsBox(b) && between.push([i, j])));
+    assert.ok(between.length > 0);
+    assert.deepStrictEqual(sortPairs(sweepAndPrune(boxesA, boxesB)), sortPairs(between));
+
+    const within = [];
+    boxesA.forEach((a, i) => boxesA.forEach((b, j) => i < j && a.intersectsBox(b) && within.push([i, j])));
+    assert.deepStrictEqual(sortPairs(sweepAndPrune(boxesA)), sortPairs(within));
+});
+
+test('closestPointsBetweenLines handles parallel and end-clamped segments', () => {
+    const collider = new CapsuleCollider(null);
+    const up = new THREE.Vector3(0, 1, 0);
+
+    // Side by side and overlapping along their length
+    const parallel = collider.resolveCapsuleCollision(capsule([0, 0, 0], [0, 1, 0], 0.1), capsule([0.15, 0.5, 0], [0.15, 1.5, 0], 0.1));
+    near(parallel.penetration, 0.05, 'parallel');
+    near(parallel.normal.x, 1, 'pushes sideways');
+
+    // B ends before A's middle: the closest point on A is level with B's end
+    const { pointA, pointB } = collider.closestPointsBetweenLines(
+        new THREE.Vector3(0, 0, 0), up, 1,
+        new THREE.Vector3(0.5, 0.3, 0), new THREE.Vector3(1, 0, 0), 1
+    );
+    assert.deepStrictEqual(pointA.toArray(), [0, 0.3, 0]);
+    assert.deepStrictEqual(pointB.toArray(), [0.5, 0.3, 0]);
+});
+
+test('resolveYBotCollision reports self-overlap without rebuilding the capsules', () => {
+    const { ybot, bones } = createYBot();
+    const collider = new CapsuleCollider(ybot);
+    const capsules = collider.capsules.slice();
+
+    assert.strictEqual(collider.resolveYBotCollision(ybot), null, 'the rest pose is clear');
+    assert.strictEqual(collider.checkCollision(ybot), false, 'never moves the root');
+
+    // Swing the left arm round to point right, across the chest through the spine
+    const arm = bones.mixamorigLeftArm;
+    const swung = arm.getWorldQuaternion(new THREE.Quaternion())
+        .premultiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI));
+    arm.quaternion.copy(arm.parent.getWorldQuaternion(new THREE.Quaternion()).invert().multiply(swung));
+    const result = collider.resolveYBotCollision(ybot);
+    assert.ok(result && result.contacts.length > 0);
+    assert.ok(result.contacts.every(contact => contact.capsule.bone.name.startsWith('mixamorigLeft') || contact.other.bone.name.startsWith('mixamorigLeft')));
+    assert.deepStrictEqual(collider.capsules, capsules);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { spawn, spawnSync } = require('node:child_process');
+
+// Runs the real cors_server.py on a free port, forwarding OpenAI requests to a
+// stub upstream in this process
+const hasPython = spawnSync('python3', ['--version']).status === 0;
+const serverScript = path.join(__dirname, '..', 'cors_server.py');
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function startProxy(env, cwd) {
+    const child = spawn('python3', ['-u', serverScript], { cwd: cwd, env: Object.assign({}, process.env, env) });
+    return new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', data => {
+            output += data;
+            const match = output.match(/http:\/\/127\.0\.0\.1:(\d+)\//);
+            if (match) resolve({ child: child, port: Number(match[1]) });
+        });
+        child.on('exit', code => reject(new Error(`cors_server.py exited with ${code}: ${output}`)));
+    });
+}
+
+// Plain http.request, so the test controls Host and Origin like a browser would
+function request(port, method, requestPath, headers = {}, body = null) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: port, method: method, path: requestPath, headers: headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('the LLM proxy adds the key, forwards errors and streams, and only serves its own page', { skip: !hasPython && 'python3 not found' }, async () => {
+    const received = [];
+    const upstream = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = JSON.parse(Buffer.concat(chunks).toString());
+            received.push({ headers: req.headers, body: body });
+            if (body.model === 'rate-limited') {
+                res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '7' });
+                res.end(JSON.stringify({ error: { message: 'Slow down' } }));
+                return;
+            }
+            // Chunked, written in pieces like an SSE stream
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            let index = 0;
+            const timer = setInterval(() => {
+                res.write(`data: {"piece":${index}}\n\n`);
+                if (++index === 5) {
+                    clearInterval(timer);
+                    res.end('data: [DONE]\n\n');
+                }
+            }, 5);
+        });
+    });
+    const upstreamPort = await listen(upstream);
+
+    const staticRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'cors-server-'));
+    fs.writeFileSync(path.join(staticRoot, 'index.html'), '<p>page</p>');
+    fs.writeFileSync(path.join(staticRoot, 'local_config.json'), '{"OPENAI_API_KEY": "sk-from-file"}');
+    fs.writeFileSync(path.join(staticRoot, '.env'), 'OPENAI_API_KEY=sk-from-file');
+
+    const { child, port } = await startProxy({
+        PORT: '0',
+        OPENAI_API_KEY: 'sk-test',
+        OPENAI_PROXY_URL: `http://127.0.0.1:${upstreamPort}/v1/chat/completions`
+    }, staticRoot);
+
+    try {
+        const host = `127.0.0.1:${port}`;
+        const json = { 'Host': host, 'Origin': `http://${host}`, 'Content-Type': 'application/json' };
+
+        const streamed = await request(port, 'POST', '/api/llm/openai', json, JSON.stringify({ model: 'gpt', stream: true }));
+        assert.strictEqual(streamed.status, 200);
+        assert.strictEqual(received[0].headers.authorization, 'Bearer sk-test');
+        assert.deepStrictEqual(received[0].body, { model: 'gpt', stream: true });
+        assert.strictEqual(streamed.headers['content-type'], 'text/event-stream');
+        assert.strictEqual(streamed.body, [0, 1, 2, 3, 4].map(i => `data: {"piece":${i}}\n\n`).join('') + 'data: [DONE]\n\n');
+        assert.strictEqual(streamed.headers['access-control-allow-origin'], undefined);
+
+        const limited = await request(port, 'POST', '/api/llm/openai', json, JSON.stringify({ model: 'rate-limited' }));
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.headers['retry-after'], '7');
+        assert.deepStrictEqual(JSON.parse(limited.body), { error: { message: 'Slow down' } });
+
+        // Other sites, rebound host names and form posts never reach the upstream
+        const calls = received.length;
+        const otherSite = await request(port, 'POST', '/api/llm/openai', Object.assign({}, json, { 'Origin': 'https://evil.example' }), '{}');
+        assert.strictEqual(otherSite.status, 403);
+        const rebound = await request(port, 'POST', '/api/llm/openai', Object.assign({}, json, { 'Host': `evil.example:${port}`, 'Origin': `http://evil.example:${port}` }), '{}');
+        assert.strictEqual(rebound.status, 403);
+        const form = await request(port, 'POST', '/api/llm/openai', Object.assign({}, json, { 'Content-Type': 'text/plain' }), '{}');
+        assert.strictEqual(form.status, 415);
+        const preflight = await request(port, 'OPTIONS', '/api/llm/openai', { 'Host': host, 'Origin': 'https://evil.example' });
+        assert.strictEqual(preflight.status, 403);
+        assert.strictEqual(preflight.headers['access-control-allow-origin'], undefined);
+        assert.strictEqual(received.length, calls);
+
+        // Static files are served, the key files are not
+        assert.strictEqual((await request(port, 'GET', '/index.html', { 'Host': host })).status, 200);
+        for (const privatePath of ['/local_config.json', '/.env', '/sub/../local_config.json', '/local%5Fconfig.json']) {
+            const response = await request(port, 'GET', privatePath, { 'Host': host });
+            assert.strictEqual(response.status, 404, privatePath);
+            assert.ok(!response.body.includes('sk-from-file'), privatePath);
+        }
+    } finally {
+        child.kill();
+        upstream.close();
+        fs.rmSync(staticRoot, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./support/browser');
+
+const { parsePoseCommand, validatePose } = loadScripts(
+    ['ybot.js', 'pose.js', 'llm.js', 'grammar.js'],
+    ['parsePoseCommand', 'validatePose']
+);
+
+// Standing at the origin, arms hanging
+const standing = {
+    leftHand: [0.2, 0.9, 0],
+    rightHand: [-0.2, 0.9, 0],
+    leftFoot: [0.1, 0.12, 0.05],
+    rightFoot: [-0.1, 0.12, 0.05],
+    hipsOffset: [0, 0, 0],
+    rootPosition: [0, 0, 0],
+    rootRotation: [0, 0, 0]
+};
+
+// Parse against the standing pose and check the result is a pose the LLM path would accept
+function parse(text) {
+    const result = parsePoseCommand(text, standing);
+    if (result) {
+        const validation = validatePose(result.pose);
+        assert.ok(validation.valid, JSON.stringify(validation.errors));
+        assert.strictEqual(result.pose.version, 1);
+        assert.strictEqual(result.pose.description, text);
+    }
+    return result;
+}
+
+// The fields a command set, without version and description
+function fields(result) {
+    const pose = Object.assign({}, result.pose);
+    delete pose.version;
+    delete pose.description;
+    return pose;
+}
+
+test('parsePoseCommand raises one hand straight up for "up high"', () => {
+    assert.deepStrictEqual(fields(parse('left hand up high')), { leftHand: [0.19, 1.99, -0.06] });
+});
+
+test('parsePoseCommand reads "in the air" as up, not as hands together', () => {
+    assert.deepStrictEqual(fields(parse('raise left hand in the air')), { leftHand: [0.19, 1.935, -0.06] });
+    assert.deepStrictEqual(fields(parse('put your hands in the air')), {
+        leftHand: [0.19, 1.935, -0.06],
+        rightHand: [-0.19, 1.935, -0.06]
+    });
+    // Without a noun after it, "in" still brings the hands together
+    assert.deepStrictEqual(fields(parse('bring your hands in')), {
+        leftHand: [0.05, 1.15, 0.35],
+        rightHand: [-0.05, 1.15, 0.35]
+    });
+});
+
+test('parsePoseCommand moves both arms for "both arms out to the sides"', () => {
+    assert.deepStrictEqual(fields(parse('both arms out to the sides')), {
+        leftHand: [0.685, 1.44, -0.06],
+        rightHand: [-0.685, 1.44, -0.06]
+    });
+});
+
+test('parsePoseCommand steps a foot forward, by a default or a given distance', () => {
+    assert.deepStrictEqual(fields(parse('step right foot forward')), { rightFoot: [-0.1, 0.12, 0.3] });
+    assert.deepStrictEqual(fields(parse('step right foot forward 20 cm')), { rightFoot: [-0.1, 0.12, 0.25] });
+});
+
+test('parsePoseCommand tilts the head for "look down"', () => {
+    assert.deepStrictEqual(fields(parse('look down')), { headRotation: [25, 0, 0] });
+});
+
+test('parsePoseCommand reads a number of degrees', () => {
+    assert.deepStrictEqual(fields(parse('turn left 45 degrees')), { rootRotation: [0, 45, 0], rootPosition: [0, 0, 0] });
+});
+
+test('parsePoseCommand combines clauses joined with "and"', () => {
+    const result = parse('left hand up high and look down');
+    assert.deepStrictEqual(fields(result), { leftHand: [0.19, 1.99, -0.06], headRotation: [25, 0, 0] });
+    assert.deepStrictEqual(result.understood, ['left hand up high', 'look down']);
+    assert.deepStrictEqual(result.ignored, []);
+});
+
+test('parsePoseCommand reports the clauses it could not use', () => {
+    const result = parse('look down and juggle');
+    assert.deepStrictEqual(result.understood, ['look down']);
+    assert.deepStrictEqual(result.ignored, ['juggle']);
+});
+
+test('parsePoseCommand returns null when nothing is understood', () => {
+    assert.strictEqual(parse('make me a sandwich'), null);
+    assert.strictEqual(parse(''), null);
+});
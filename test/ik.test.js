@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./support/browser');
+const { createMixamoSkeleton, createYBot } = require('./support/skeleton');
+
+const { CustomIKSolver, CustomIKChain, CapsuleCollider } = loadScripts(
+    ['collision.js', 'constraints.js', 'ik.js', 'ybot.js'],
+    ['CustomIKSolver', 'CustomIKChain', 'CapsuleCollider']
+);
+
+function worldPosition(bone) {
+    return bone.getWorldPosition(new THREE.Vector3());
+}
+
+test('CustomIKSolver brings an unconstrained arm onto a reachable target', () => {
+    const { root, bones } = createMixamoSkeleton();
+    global.ybot = root;
+    const chain = new CustomIKChain();
+    ['mixamorigLeftArm', 'mixamorigLeftForeArm', 'mixamorigLeftHand'].forEach(name => chain.add(bones[name]));
+    const solver = new CustomIKSolver();
+    solver.add(chain);
+
+    const target = new THREE.Vector3(0.45, 1.25, 0.25);
+    chain.setTarget(target);
+    const [result] = solver.solve();
+
+    assert.ok(result.converged, `error ${result.error}`);
+    assert.ok(result.iterations <= solver.maxIterations);
+    assert.ok(worldPosition(bones.mixamorigLeftHand).distanceTo(target) <= solver.tolerance);
+});
+
+test('CustomIKSolver leaves a chain already on target untouched', () => {
+    const { root, bones } = createMixamoSkeleton();
+    global.ybot = root;
+    const chain = new CustomIKChain();
+    ['mixamorigLeftArm', 'mixamorigLeftForeArm', 'mixamorigLeftHand'].forEach(name => chain.add(bones[name]));
+    const solver = new CustomIKSolver();
+    solver.add(chain);
+
+    const rest = bones.mixamorigLeftArm.quaternion.clone();
+    chain.setTarget(worldPosition(bones.mixamorigLeftHand));
+    const [result] = solver.solve();
+
+    assert.strictEqual(result.iterations, 0);
+    assert.ok(bones.mixamorigLeftArm.quaternion.equals(rest));
+});
+
+test('CustomIKSolver stretches toward an unreachable target', () => {
+    const { root, bones } = createMixamoSkeleton();
+    global.ybot = root;
+    const chain = new CustomIKChain();
+    ['mixamorigLeftArm', 'mixamorigLeftForeArm', 'mixamorigLeftHand'].forEach(name => chain.add(bones[name]));
+    const solver = new CustomIKSolver();
+    solver.add(chain);
+
+    const shoulder = worldPosition(bones.mixamorigLeftArm);
+    const target = shoulder.clone().add(new THREE.Vector3(0, 0.3, 1.0)); // 1.04 m away, the arm is 0.53 m
+    chain.setTarget(target);
+    const [result] = solver.solve();
+
+    assert.strictEqual(result.converged, false);
+    assert.strictEqual(result.iterations, solver.maxIterations);
+    const hand = worldPosition(bones.mixamorigLeftHand);
+    const toHand = hand.clone().sub(shoulder).normalize();
+    const toTarget = target.clone().sub(shoulder).normalize();
+    assert.ok(toHand.dot(toTarget) > 0.99, 'arm points at the target');
+    assert.ok(Math.abs(result.error - (target.distanceTo(shoulder) - 0.53)) < 0.01);
+});
+
+test('YBot chains converge for targets within reach', () => {
+    const { ybot, bones } = createYBot();
+    assert.deepStrictEqual(Object.keys(ybot.ikChains).sort(), ['head', 'leftFoot', 'leftHand', 'rightFoot', 'rightHand']);
+
+    ybot.setIKTarget('leftHand', [0.35, 1.3, 0.3]);
+    ybot.setIKTarget('rightHand', [-0.3, 1.1, 0.35]);
+    ybot.setIKTarget('leftFoot', [0.1, 0.3, 0.2]); // Knee raised
+    // The app solves every frame, each picking up where the last one stopped
+    for (let frame = 0; frame < 3; frame++) {
+        ybot.updateIK();
+    }
+
+    const status = ybot.getIKStatus();
+    for (const name of ['leftHand', 'rightHand', 'leftFoot']) {
+        assert.ok(status[name].converged, `${name} error ${status[name].error}`);
+    }
+    assert.ok(worldPosition(bones.mixamorigLeftHand).distanceTo(new THREE.Vector3(0.35, 1.3, 0.3)) < 0.01);
+});
+
+test('the end bone is held to its limit even without an orientation goal', () => {
+    const { ybot, bones } = createYBot();
+    const hand = bones.mixamorigLeftHand;
+    const rest = hand.quaternion.clone();
+    // Bent 120 degrees at the wrist, past the hand's 70 degree cone
+    hand.quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), THREE.MathUtils.degToRad(120)));
+
+    ybot.setIKTarget('leftHand', [0.35, 1.3, 0.3]);
+    ybot.updateIK();
+
+    const swing = new THREE.Vector3(0, 1, 0).applyQuaternion(rest.invert().multiply(hand.quaternion));
+    const swingDegrees = THREE.MathUtils.radToDeg(Math.acos(Math.min(1, swing.y)));
+    assert.ok(Math.abs(swingDegrees - 70) < 0.5, `swing ${swingDegrees.toFixed(2)}`);
+});
+
+test('a pole target decides which way the elbow bends', () => {
+    const bendFor = pole => {
+        const { ybot, bones } = createYBot();
+        ybot.setIKTarget('leftHand', [0.35, 1.35, 0.2]);
+        ybot.setIKPoleTarget('leftHand', pole);
+        ybot.updateIK();
+        return worldPosition(bones.mixamorigLeftForeArm);
+    };
+
+    const elbowDown = bendFor([0.5, 0.8, 0]);
+    const elbowUp = bendFor([0.5, 1.9, 0]);
+    assert.ok(elbowUp.y > elbowDown.y + 0.1, `elbow y ${elbowUp.y.toFixed(3)} vs ${elbowDown.y.toFixed(3)}`);
+});
+
+test('self-collision routes the forearm around the torso instead of through it', () => {
+    const deepest = contacts => contacts.reduce((depth, contact) => Math.max(depth, contact.penetration), 0);
+    // Left hand across to the right of the chest: the straight reach cuts through the spine
+    const target = [-0.15, 1.2, 0.02];
+
+    const free = createYBot();
+    const freeCapsules = new CapsuleCollider(free.ybot);
+    free.ybot.setIKTarget('leftHand', target);
+    free.ybot.ikSolver.solveChains(['leftHand']);
+    freeCapsules.updateCapsules();
+    assert.ok(deepest(freeCapsules.findSelfContacts()) > 0.02, 'overlaps without self-collision');
+
+    const { ybot, bones } = createYBot();
+    const capsules = new CapsuleCollider(ybot);
+    ybot.setSelfCollision(capsules);
+    ybot.setIKTarget('leftHand', target);
+    ybot.ikSolver.solveChains(['leftHand']);
+
+    const result = ybot.ikChains.leftHand.lastResult;
+    assert.ok(result.penetration <= ybot.ikSolver.selfCollisionSlop, `penetration ${result.penetration}`);
+    assert.ok(worldPosition(bones.mixamorigLeftHand).distanceTo(new THREE.Vector3(...target)) < 0.01, 'still reaches the target');
+    capsules.updateCapsules();
+    assert.ok(deepest(capsules.findSelfContacts()) <= ybot.ikSolver.selfCollisionSlop);
+});
+
+test('self-collision gives up reach rather than leave a limb inside the body', () => {
+    const { ybot } = createYBot();
+    const capsules = new CapsuleCollider(ybot);
+    ybot.setSelfCollision(capsules);
+    // Low across the belly, where the upper arm would have to sink into the spine
+    ybot.setIKTarget('leftHand', [-0.2, 0.95, 0.05]);
+    ybot.ikSolver.solveChains(['leftHand']);
+
+    const result = ybot.ikChains.leftHand.lastResult;
+    assert.ok(!result.converged);
+    assert.ok(result.penetration <= ybot.ikSolver.selfCollisionSlop, `penetration ${result.penetration}`);
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts } = require('./support/browser');
+
+// generatePoseFromLLM end to end with the mock provider: the scripted replies stand
+// in for a model, and what main.js would set up is stubbed with plain globals
+const elements = {};
+global.document.getElementById = id => elements[id] || (elements[id] = {
+    id: id, textContent: '', value: '', checked: false, style: {}, appendChild() {}
+});
+global.llmProvider = 'mock';
+global.llmFallbackChain = [];
+// Target handles the poses move, so capturePose() and relative edits have a current pose
+global.ikTargets = {};
+['leftHand', 'rightHand', 'leftFoot', 'rightFoot', 'head'].forEach(name => {
+    global.ikTargets[name] = new THREE.Object3D();
+});
+global.poleTargets = {};
+global.poseHistory = [];
+global.savedPoses = {};
+global.currentPoseIndex = -1;
+global.collisionSystem = null;
+
+const llm = loadScripts(
+    ['collision.js', 'constraints.js', 'ik.js', 'ybot.js', 'pose.js', 'transitions.js', 'timeline.js', 'providers/registry.js', 'providers/mock.js', 'prompt.js', 'grammar.js', 'llm.js', 'ui.js'],
+    ['PoseTransitionManager', 'PoseSequencePlayer', 'registerLLMProvider', 'getLLMProvider', 'setMockLLMScript', 'generatePoseFromLLM',
+        'startLLMRecording', 'startLLMReplay']
+);
+global.poseTransitions = new llm.PoseTransitionManager();
+global.sequencePlayer = new llm.PoseSequencePlayer();
+
+const mock = llm.getLLMProvider('mock');
+const mockComplete = mock.complete;
+const validReply = JSON.stringify({ leftHand: [0.3, 1.5, 0.2], description: 'Left hand raised' });
+const response = () => elements.llmResponse.textContent;
+const history = () => loadScripts([], ['conversationHistory']).conversationHistory;
+
+// Every message list the mock is asked with, in order
+let calls = [];
+mock.complete = function (messages, options) {
+    calls.push(messages);
+    return mockComplete.call(this, messages, options);
+};
+
+// A second provider to fall back to; its reply can be swapped per test
+let stubReply = async () => ({ text: validReply, toolCall: null });
+llm.registerLLMProvider({
+    id: 'stub',
+    name: 'Stub',
+    label: 'Stub',
+    configSchema: [],
+    complete: (messages, options) => stubReply(messages, options)
+});
+
+test.beforeEach(() => {
+    calls = [];
+    llm.setMockLLMScript([]);
+    global.llmFallbackChain = [];
+    global.llmProvider = 'mock';
+    mock.timeout = 10000;
+    require('vm').runInThisContext('conversationHistory = []; llmRecording = null; llmReplay = null;');
+});
+
+test('a malformed reply gets one repair round-trip with the reply and what was wrong', async () => {
+    llm.setMockLLMScript(['Sure, the left hand goes up!', validReply]);
+    await llm.generatePoseFromLLM('raise the left hand');
+
+    assert.strictEqual(calls.length, 2);
+    const repair = calls[1];
+    assert.strictEqual(repair[repair.length - 2].role, 'assistant');
+    assert.strictEqual(repair[repair.length - 2].content, 'Sure, the left hand goes up!');
+    assert.match(repair[repair.length - 1].content, /No valid JSON object/);
+    assert.match(response(), /^🤖 Applied: Left hand raised \(via Mock\)/);
+});
+
+test('a reply still invalid after the repair falls back to the offline parser', async () => {
+    llm.setMockLLMScript(['{"leftHand": "up"}', '{"leftHand": [1, 2]}']);
+    await llm.generatePoseFromLLM('left hand up');
+
+    assert.strictEqual(calls.length, 2);
+    assert.match(response(), /^📖 Applied \(offline parser\)/);
+    assert.strictEqual(history().length, 0);
+});
+
+test('a 429 is retried after its Retry-After delay', async () => {
+    llm.setMockLLMScript([{ error: { status: 429, message: 'Rate limited', retryAfter: 0.02 } }, validReply]);
+    const started = Date.now();
+    await llm.generatePoseFromLLM('raise the left hand');
+
+    assert.strictEqual(calls.length, 2);
+    assert.ok(Date.now() - started >= 20);
+    assert.match(response(), /^🤖 Applied: Left hand raised \(via Mock\)/);
+});
+
+test('waiting out a retry or a scripted delay leaves no abort listener behind', async () => {
+    const { waitForLLMRetry, runMockLLMEntry } = loadScripts([], ['waitForLLMRetry', 'runMockLLMEntry']);
+    const signal = new AbortController().signal;
+    const listeners = new Set();
+    signal.addEventListener = (type, listener) => listeners.add(listener);
+    signal.removeEventListener = (type, listener) => listeners.delete(listener);
+
+    await waitForLLMRetry(1, signal);
+    await runMockLLMEntry(mock, { delay: 1, text: validReply }, { signal: signal });
+    assert.strictEqual(listeners.size, 0);
+
+    const cancelled = new AbortController();
+    const waiting = waitForLLMRetry(5000, cancelled.signal);
+    cancelled.abort();
+    await assert.rejects(waiting, error => error.name === 'AbortError');
+});
+
+test('an error that is not retried falls through to the next provider in the chain', async () => {
+    global.llmFallbackChain = ['stub'];
+    llm.setMockLLMScript([{ error: { status: 401, message: 'Invalid API key' } }]);
+    await llm.generatePoseFromLLM('raise the left hand');
+
+    assert.strictEqual(calls.length, 1);
+    assert.match(response(), /^🤖 Applied: Left hand raised \(via Stub\)/);
+});
+
+test('a reply slower than the provider timeout is aborted', async () => {
+    mock.timeout = 30;
+    let aborted = false;
+    llm.setMockLLMScript([{ delay: 5000, text: validReply }]);
+    mock.complete = function (messages, options) {
+        options.signal.addEventListener('abort', () => { aborted = true; });
+        return mockComplete.call(this, messages, options);
+    };
+
+    try {
+        const started = Date.now();
+        await llm.generatePoseFromLLM('raise the left hand');
+        assert.ok(aborted);
+        assert.ok(Date.now() - started < 1000, 'did not wait for the reply');
+        assert.strictEqual(history().length, 0);
+        assert.match(response(), /offline parser|not understood/);
+    } finally {
+        mock.complete = function (messages, options) {
+            calls.push(messages);
+            return mockComplete.call(this, messages, options);
+        };
+    }
+});
+
+test('accepted replies become conversation history sent with the next request', async () => {
+    llm.setMockLLMScript([validReply, JSON.stringify({ delta: { leftHand: [0, 0.1, 0] }, description: 'Higher' })]);
+    await llm.generatePoseFromLLM('raise the left hand');
+    await llm.generatePoseFromLLM('a bit more');
+
+    assert.strictEqual(calls.length, 2);
+    assert.deepStrictEqual(history().map(turn => turn.input), ['raise the left hand', 'a bit more']);
+    assert.strictEqual(history()[1].summary, 'Higher (Δ leftHand)');
+    assert.ok(history()[1].output.includes('"delta"'), 'relative edits are kept as deltas');
+
+    const second = calls[1];
+    assert.deepStrictEqual(second.slice(1, 3), [
+        { role: 'user', content: 'Generate pose coordinates for: "raise the left hand"' },
+        { role: 'assistant', content: history()[0].output }
+    ]);
+});
+
+test('a recorded exchange replays without calling the provider', async () => {
+    global.llmProvider = 'stub';
+    let stubCalls = 0;
+    stubReply = async () => {
+        stubCalls++;
+        return { text: validReply, toolCall: null };
+    };
+
+    llm.startLLMRecording();
+    await llm.generatePoseFromLLM('raise the left hand');
+    const recording = loadScripts([], ['llmRecording']).llmRecording;
+    assert.strictEqual(recording.exchanges.length, 1);
+    assert.strictEqual(recording.exchanges[0].provider, 'stub');
+    assert.strictEqual(recording.exchanges[0].text, validReply);
+
+    // Through a file, as 💾 Fixture and ▶ Replay would
+    const fixture = JSON.parse(JSON.stringify(recording));
+    require('vm').runInThisContext('conversationHistory = [];');
+    llm.startLLMReplay(fixture);
+    await llm.generatePoseFromLLM('raise the left hand');
+
+    assert.strictEqual(stubCalls, 1);
+    assert.match(response(), /^🤖 Applied: Left hand raised \(via Stub\)/);
+    await assert.rejects(
+        loadScripts([], ['replayLLMExchange']).replayLLMExchange(llm.getLLMProvider('stub'), [], {}),
+        /No recorded Stub reply left to replay/
+    );
+});
+
+test('the example mock script answers, calls tools and fails the way each entry says', async () => {
+    const script = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'mock-script.json'), 'utf8'));
+    const { runMockLLMEntry } = loadScripts([], ['runMockLLMEntry']);
+
+    for (const entry of script) {
+        const undelayed = typeof entry === 'string' ? entry : Object.assign({}, entry, { delay: 0 });
+        if (entry.error) {
+            await assert.rejects(runMockLLMEntry(mock, undelayed, {}), error => error.status === entry.error.status && error.retryAfter === entry.error.retryAfter);
+            continue;
+        }
+        const result = await runMockLLMEntry(mock, undelayed, {});
+        assert.strictEqual(result.toolCall, entry.toolCall || null);
+        assert.strictEqual(result.text, typeof entry === 'string' ? entry : entry.text || JSON.stringify(entry.toolCall.arguments));
+    }
+});
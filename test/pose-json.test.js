@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./support/browser');
+
+const { extractPoseJSON, extractCompletedFields, parsePoseReply } = loadScripts(
+    ['llm.js'],
+    ['extractPoseJSON', 'extractCompletedFields', 'parsePoseReply']
+);
+
+test('extractPoseJSON reads a bare JSON reply', () => {
+    assert.deepStrictEqual(extractPoseJSON('{"leftHand": [0.3, 1.6, 0.1]}'), { leftHand: [0.3, 1.6, 0.1] });
+});
+
+test('extractPoseJSON skips prose and code fences around the object', () => {
+    const reply = 'Sure! Here is the pose:\n```json\n{"head": [0, 1.6, 0.1], "description": "Looking ahead"}\n```\nLet me know if you want changes.';
+    assert.deepStrictEqual(extractPoseJSON(reply), { head: [0, 1.6, 0.1], description: 'Looking ahead' });
+});
+
+test('extractPoseJSON keeps nested objects and braces inside strings', () => {
+    const reply = '{"delta": {"leftHand": [0, 0.1, 0]}, "description": "Raise it {a bit} \\"more\\""}';
+    assert.deepStrictEqual(extractPoseJSON(reply), {
+        delta: { leftHand: [0, 0.1, 0] },
+        description: 'Raise it {a bit} "more"'
+    });
+});
+
+test('extractPoseJSON moves past a brace that does not start valid JSON', () => {
+    const reply = 'Use {leftHand} like this: {"leftHand": [0.2, 1.0, 0.3]}';
+    assert.deepStrictEqual(extractPoseJSON(reply), { leftHand: [0.2, 1.0, 0.3] });
+});
+
+test('extractPoseJSON returns the first of several objects', () => {
+    assert.deepStrictEqual(extractPoseJSON('{"a": 1} then {"b": 2}'), { a: 1 });
+});
+
+test('extractPoseJSON returns null without a complete object', () => {
+    assert.strictEqual(extractPoseJSON('I cannot do that pose.'), null);
+    assert.strictEqual(extractPoseJSON('{"leftHand": [0.2, 1.0'), null);
+    assert.strictEqual(extractPoseJSON('{"leftHand": [0.25, 0.9, 0.35], "rightHand": [-0.25, 0.9, 0.35] and that is it'), null);
+});
+
+test('parsePoseReply keeps the raw reply on failure so it can be repaired', () => {
+    assert.throws(() => parsePoseReply('no json here', 'Mock'), error => {
+        assert.match(error.message, /No valid JSON object found in Mock response/);
+        assert.strictEqual(error.reply, 'no json here');
+        return true;
+    });
+});
+
+test('extractCompletedFields keeps only the fields that have fully arrived', () => {
+    const partial = '{"leftHand": [0.3, 1.6, 0.1], "headRotation": [10, 0, 0], "description": "Wav';
+    assert.deepStrictEqual(extractCompletedFields(partial), {
+        leftHand: [0.3, 1.6, 0.1],
+        headRotation: [10, 0, 0]
+    });
+    assert.deepStrictEqual(extractCompletedFields('{"rightHand": [-0.3, 1.'), {});
+});
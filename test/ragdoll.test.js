@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RAPIER = require('@dimforge/rapier3d-compat');
+const { loadScripts } = require('./support/browser');
+const { createYBot } = require('./support/skeleton');
+
+const { CapsuleCollider, BoxCollider, RagdollPhysics } = loadScripts(
+    ['transitions.js', 'collision.js', 'constraints.js', 'ik.js', 'ybot.js', 'ragdoll.js'],
+    ['CapsuleCollider', 'BoxCollider', 'RagdollPhysics']
+);
+
+test.before(() => RAPIER.init());
+
+function createRagdoll(options = {}, height = 0) {
+    const { ybot, bones } = createYBot(height);
+    const collider = new CapsuleCollider(ybot);
+    return { ybot, bones, collider, ragdoll: new RagdollPhysics(RAPIER, ybot, collider, options) };
+}
+
+function worldPosition(bone) {
+    return bone.getWorldPosition(new THREE.Vector3());
+}
+
+test('RagdollPhysics builds one body per capsule and joins them all', () => {
+    const { ragdoll, collider } = createRagdoll();
+
+    assert.strictEqual(ragdoll.bodies.length, collider.capsules.length);
+    // Bodies form one connected skeleton: every body but the first capsule's has a joint
+    assert.strictEqual(ragdoll.world.impulseJoints.len(), collider.capsules.length - 1);
+    ragdoll.dispose();
+});
+
+test('the ragdoll falls onto the floor and the bones follow their bodies', () => {
+    const { ragdoll, bones } = createRagdoll();
+    const forearmLength = worldPosition(bones.mixamorigLeftForeArm).distanceTo(worldPosition(bones.mixamorigLeftHand));
+
+    for (let frame = 0; frame < 180; frame++) {
+        ragdoll.step(1 / 60);
+    }
+
+    const hips = worldPosition(bones.mixamorigHips);
+    assert.ok(hips.y < 0.4, `hips at ${hips.y.toFixed(3)}`);
+    for (const body of ragdoll.bodies) {
+        assert.ok(body.body.translation().y > -0.01, 'nothing sinks through the floor');
+    }
+    // Only rotations are written back, so bones keep their lengths
+    const forearm = worldPosition(bones.mixamorigLeftForeArm).distanceTo(worldPosition(bones.mixamorigLeftHand));
+    assert.ok(Math.abs(forearm - forearmLength) < 1e-6);
+    ragdoll.dispose();
+});
+
+test('the ragdoll lands on scene obstacles', () => {
+    const platform = new BoxCollider(new THREE.Vector3(0, 0.25, 0), new THREE.Vector3(3, 0.5, 3));
+    const { ragdoll } = createRagdoll({ obstacles: [platform] }, 0.55);
+
+    for (let frame = 0; frame < 180; frame++) {
+        ragdoll.step(1 / 60);
+    }
+
+    const lowest = Math.min(...ragdoll.bodies.map(body => body.body.translation().y));
+    assert.ok(lowest > 0.5, `lowest body at ${lowest.toFixed(3)}`);
+    ragdoll.dispose();
+});
+
+test('releasing the ragdoll blends back into the IK pose', () => {
+    const { ragdoll, ybot, bones } = createRagdoll();
+    for (let frame = 0; frame < 60; frame++) {
+        ragdoll.step(1 / 60);
+    }
+    ragdoll.release();
+    assert.strictEqual(ragdoll.active, false);
+
+    const target = new THREE.Vector3(0.35, 1.3, 0.3);
+    ybot.setIKTarget('leftHand', target.toArray());
+    let frames = 0;
+    let done = false;
+    let halfway = null;
+    while (!done && frames < 120) {
+        ragdoll.restoreIKPose();
+        ybot.updateIK();
+        done = ragdoll.blendToIK(1 / 60);
+        frames++;
+        if (frames === Math.round(ragdoll.blendTime * 30)) {
+            halfway = worldPosition(bones.mixamorigHips).y;
+        }
+    }
+
+    assert.ok(done);
+    assert.strictEqual(frames, Math.ceil(ragdoll.blendTime * 60));
+    assert.ok(halfway > 0.2 && halfway < 0.95, `hips halfway at ${halfway}`);
+    assert.ok(Math.abs(worldPosition(bones.mixamorigHips).y - 1.0) < 1e-6, 'hips back at rest height');
+    assert.ok(worldPosition(bones.mixamorigLeftHand).distanceTo(target) < 0.01);
+    ragdoll.dispose();
+});
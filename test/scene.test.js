@@ -0,0 +1,309 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts } = require('./support/browser');
+const { createYBot } = require('./support/skeleton');
+
+const {
+    CollisionSystem, CapsuleCollider, FloorCollider, BoxCollider, SphereCollider, StaticCapsuleCollider, MeshCollider,
+    createContactManifold, loadCollisionScene
+} = loadScripts(
+    ['collision.js', 'constraints.js', 'ik.js', 'ybot.js', 'pose.js', 'scene.js'],
+    ['CollisionSystem', 'CapsuleCollider', 'FloorCollider', 'BoxCollider', 'SphereCollider', 'StaticCapsuleCollider', 'MeshCollider',
+        'createContactManifold', 'loadCollisionScene']
+);
+
+const vector = (x, y, z) => new THREE.Vector3(x, y, z);
+const near = (actual, expected, tolerance, message) => assert.ok(Math.abs(actual - expected) < tolerance, `${message || ''} ${actual} != ${expected}`);
+const nearVector = (actual, expected, tolerance, message) => assert.ok(actual.distanceTo(expected) < tolerance,
+    `${message || ''} [${actual.toArray().map(n => n.toFixed(4))}] != [${expected.toArray()}]`);
+
+function capsule(start, end, radius) {
+    return { start: vector(...start), end: vector(...end), radius: radius };
+}
+
+// Boxes given as [center, size] in one MeshCollider, counter-clockwise from outside
+function boxesMesh(...boxes) {
+    const corners = [];
+    const indices = [];
+    const faces = [[0, 2, 3, 1], [4, 5, 7, 6], [0, 1, 5, 4], [2, 6, 7, 3], [0, 4, 6, 2], [1, 3, 7, 5]];
+    for (const [center, size] of boxes) {
+        const first = corners.length / 3;
+        for (let i = 0; i < 8; i++) {
+            corners.push(...[1, 2, 4].map((bit, axis) => center[axis] + (i & bit ? 0.5 : -0.5) * size[axis]));
+        }
+        for (const [a, b, c, d] of faces) {
+            indices.push(first + a, first + b, first + c, first + a, first + c, first + d);
+        }
+    }
+    return MeshCollider.fromArrays(corners, indices);
+}
+
+// The same 1 m cube as a MeshCollider
+const cubeMesh = center => boxesMesh([center, [1, 1, 1]]);
+
+test('BoxCollider gives signed distances and outward normals, also when rotated', () => {
+    const box = new BoxCollider(vector(0, 0.5, 0), vector(2, 1, 1));
+
+    const above = box.closestPoint(vector(0.3, 1.2, 0.1));
+    near(above.distance, 0.2, 1e-9, 'above');
+    nearVector(above.point, vector(0.3, 1, 0.1), 1e-9);
+    nearVector(above.normal, vector(0, 1, 0), 1e-9);
+
+    const inside = box.closestPoint(vector(0.9, 0.5, 0));
+    near(inside.distance, -0.1, 1e-9, 'inside, near the +X face');
+    nearVector(inside.normal, vector(1, 0, 0), 1e-9);
+
+    const turned = new BoxCollider(vector(0, 0, 0), vector(2, 1, 1), new THREE.Euler(0, Math.PI / 2, 0));
+    near(turned.signedDistance(vector(0, 0, 1.5)), 0.5, 1e-9, 'long side now along Z');
+    nearVector(turned.closestPoint(vector(0, 0, 1.5)).normal, vector(0, 0, 1), 1e-9);
+});
+
+test('every shape reports the same contact for a capsule lying on top of it', () => {
+    // A horizontal capsule 0.1 m thick whose axis is 0.05 m above each shape's top at the origin
+    const lying = (top) => capsule([-0.3, top + 0.05, 0], [0.3, top + 0.05, 0], 0.1);
+    const shapes = [
+        { collider: new BoxCollider(vector(0, 0, 0), vector(1, 1, 1)), top: 0.5 },
+        { collider: cubeMesh([0, 0, 0]), top: 0.5 },
+        { collider: new SphereCollider(vector(0, 0, 0), 0.5), top: 0.5 },
+        { collider: new StaticCapsuleCollider(vector(0, 0, -1), vector(0, 0, 1), 0.5), top: 0.5 }
+    ];
+
+    for (const { collider, top } of shapes) {
+        const contact = collider.collideCapsule(lying(top));
+        assert.ok(contact, `${collider.type} touches`);
+        near(contact.penetration, 0.05, 1e-4, collider.type);
+        nearVector(contact.normal, vector(0, 1, 0), 1e-3, collider.type);
+        near(contact.point.y, top, 1e-4, collider.type);
+        assert.strictEqual(contact.collider, collider);
+        assert.strictEqual(collider.collideCapsule(capsule([-0.3, top + 0.2, 0], [0.3, top + 0.2, 0], 0.1)), null, `${collider.type} clear`);
+    }
+});
+
+test('a capsule pushed into a closed mesh is pushed out through the face it entered', () => {
+    const cube = cubeMesh([0, 0.5, 0]);
+
+    // Vertical capsule whose lower end is 0.2 m inside the top face
+    const contact = cube.collideCapsule(capsule([0, 0.8, 0], [0, 1.5, 0], 0.05));
+    nearVector(contact.normal, vector(0, 1, 0), 1e-9);
+    near(contact.penetration, 0.25, 1e-4);
+
+    // Beside a side face and below the top face: the side wins, not the top
+    const beside = cube.collideCapsule(capsule([0.53, 0.2, 0], [0.53, 0.8, 0], 0.05));
+    nearVector(beside.normal, vector(1, 0, 0), 1e-3);
+    near(beside.penetration, 0.02, 1e-4);
+
+    near(cube.closestPoint(vector(0, 0.5, 0.3)).distance, -0.2, 1e-9, 'inside');
+    near(cube.closestPoint(vector(0, 0.5, 0.8)).distance, 0.3, 1e-9, 'outside');
+});
+
+test('a capsule in a gap under a concave mesh is clear of it, not pushed up through it', () => {
+    // A table as one mesh: the top from y 0.9 to 1.0 on a single leg
+    const table = boxesMesh([[0, 0.95, 0], [1.2, 0.1, 0.8]], [[0, 0.45, 0], [0.1, 0.9, 0.1]]);
+    for (const y of [0.7, 0.5, 0.84]) {
+        assert.strictEqual(table.collideCapsule(capsule([0.2, y, 0], [0.4, y, 0], 0.05)), null, `under the top at y ${y}`);
+    }
+
+    // Touching the underside, and wholly inside the top nearer its upper face
+    const under = table.collideCapsule(capsule([0.2, 0.87, 0], [0.4, 0.87, 0], 0.05));
+    nearVector(under.normal, vector(0, -1, 0), 1e-9);
+    near(under.penetration, 0.02, 1e-4);
+    const inside = table.collideCapsule(capsule([0.2, 0.97, 0], [0.4, 0.97, 0], 0.02));
+    nearVector(inside.normal, vector(0, 1, 0), 1e-9);
+    near(inside.penetration, 0.05, 1e-4);
+});
+
+test('MeshCollider finds the same contacts through its tree as by testing every triangle', () => {
+    const sphere = new THREE.Mesh(new THREE.SphereGeometry(0.5, 48, 32));
+    sphere.position.set(0, 0.5, 0);
+    const mesh = MeshCollider.fromObject3D(sphere);
+    const linear = MeshCollider.fromObject3D(sphere);
+    linear.findTriangles = () => linear.triangles;
+
+    const surface = new THREE.Vector3();
+    for (let i = 0; i < 50; i++) {
+        const point = vector(Math.sin(i) * 0.8, 0.5 + Math.cos(i * 1.7) * 0.8, Math.sin(i * 0.3) * 0.8);
+        const nearest = Math.min(...mesh.triangles.map(entry => point.distanceTo(entry.triangle.closestPointToPoint(point, surface))));
+        near(Math.abs(mesh.closestPoint(point).distance), nearest, 1e-9);
+
+        // Capsules through the surface and wholly inside
+        const probe = capsule(point.toArray(), [0, 0.5 + i * 0.004, 0], 0.05);
+        const describe = contact => contact && [contact.point.toArray(), contact.normal.toArray(), contact.penetration];
+        assert.deepStrictEqual(describe(mesh.collideCapsule(probe)), describe(linear.collideCapsule(probe)), `capsule ${i}`);
+    }
+});
+
+test('MeshCollider.fromObject3D takes meshes with hundreds of thousands of triangles', () => {
+    const ground = new THREE.Mesh(new THREE.PlaneGeometry(4, 4, 320, 320));
+    ground.rotation.x = -Math.PI / 2;
+    const mesh = MeshCollider.fromObject3D(ground);
+    assert.strictEqual(mesh.triangles.length, 320 * 320 * 2);
+    near(mesh.closestPoint(vector(0.3, 0.2, -0.7)).distance, 0.2, 1e-9);
+});
+
+test('createContactManifold separates every contact with one push', () => {
+    const contact = (normal, penetration) => ({ point: null, normal: vector(...normal).normalize(), penetration: penetration, capsule: null, collider: null });
+
+    const corner = createContactManifold([contact([1, 0, 0], 0.1), contact([0, 1, 0], 0.2)]);
+    nearVector(corner.normal.clone().multiplyScalar(corner.penetration), vector(0.1, 0.2, 0), 1e-9, 'floor and wall');
+    assert.strictEqual(corner.contacts.length, 2);
+
+    const stacked = createContactManifold([contact([0, 1, 0], 0.05), contact([0, 1, 0], 0.2)]);
+    nearVector(stacked.normal, vector(0, 1, 0), 1e-9);
+    near(stacked.penetration, 0.2, 1e-9, 'parallel contacts take the deepest');
+});
+
+test('CollisionSystem merges the floor with a wall the YBot is touching', () => {
+    const { ybot, bones } = createYBot(-0.05); // Feet just into the floor
+
+    const system = new CollisionSystem();
+    system.addCollider(new FloorCollider(0));
+    system.addCollider(new CapsuleCollider(ybot));
+
+    // Without the wall the floor holds the YBot up and nothing else
+    const standing = system.checkCollisions(ybot);
+    assert.ok(standing.normal.y > 0.99);
+
+    // A wall 2 cm inside the outstretched left hand
+    const hand = bones.mixamorigLeftHand.getWorldPosition(new THREE.Vector3());
+    const wall = new BoxCollider(vector(hand.x + 0.05, 1, 0), vector(0.1, 2, 2));
+    system.addCollider(wall);
+
+    const result = system.checkCollisions(ybot);
+    const wallContacts = result.contacts.filter(contact => contact.collider === wall);
+    assert.ok(wallContacts.length > 0);
+    assert.ok(wallContacts.every(contact => contact.normal.x < -0.99 && contact.capsule.bone.name.startsWith('mixamorigLeft')));
+    assert.ok(result.normal.x < 0, 'pushed away from the wall');
+    assert.ok(result.normal.y >= 0, 'still held up by the floor');
+
+    system.removeCollider(wall);
+    assert.ok(!system.colliders.includes(wall));
+});
+
+test('loadCollisionScene builds the test room and names bad entries', async () => {
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scenes', 'test-room.json'), 'utf8'));
+    const loaded = await loadCollisionScene(data, null);
+
+    assert.strictEqual(loaded.name, 'Test room');
+    assert.deepStrictEqual(loaded.colliders.map(collider => collider.type), ['box', 'box', 'box', 'sphere', 'capsule', 'mesh']);
+    assert.deepStrictEqual(loaded.colliders.map(collider => collider.name), ['Step', 'Wall', 'Table', 'Ball', 'Pole', 'Ramp']);
+    for (const collider of loaded.colliders) {
+        assert.ok(collider.createMesh().userData.collider === collider);
+    }
+
+    // The ramp is closed: its middle is inside, above its slope is outside
+    const ramp = loaded.colliders[5];
+    assert.strictEqual(ramp.triangles.length, 8);
+    assert.ok(ramp.signedDistance(vector(0.7, 0.05, -1.8)) < 0);
+    assert.ok(ramp.signedDistance(vector(0.7, 0.3, -1.4)) > 0);
+
+    await assert.rejects(loadCollisionScene({ version: 1, colliders: [{ type: 'cone' }] }, null), /colliders\[0\]\.type: expected one of box, sphere, capsule, mesh/);
+    await assert.rejects(loadCollisionScene({ version: 1, colliders: [{ type: 'sphere', position: [0, 1], radius: 1 }] }, null), /colliders\[0\]\.position: expected \[x, y, z\]/);
+    await assert.rejects(loadCollisionScene({ version: 1, colliders: [{ type: 'mesh', vertices: [0, 0, 0, 1, 0, 0, 0, 1, 0], indices: [0, 1, 3] }] }, null), /colliders\[0\]\.indices/);
+    await assert.rejects(loadCollisionScene({ colliders: 'none' }, null), /Not a scene/);
+});
+
+test('the broad phase finds the same contacts as testing every pair, and reports its cost', async () => {
+    const { ybot } = createYBot(-0.02);
+
+    const system = new CollisionSystem();
+    system.addCollider(new FloorCollider(0));
+    system.addCollider(new CapsuleCollider(ybot));
+    const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scenes', 'benchmark.json'), 'utf8'));
+    (await loadCollisionScene(data, null)).colliders.forEach(collider => system.addCollider(collider));
+
+    const describe = manifold => manifold.contacts
+        .map(contact => `${contact.collider.name}:${contact.capsule ? contact.capsule.bone.name + '>' + contact.capsule.child.name : ''}:${contact.penetration.toFixed(6)}`)
+        .sort();
+
+    // Capsules each obstacle's narrow phase is run on
+    const tested = new Map();
+    for (const collider of system.colliders.filter(collider => collider.bounds)) {
+        const collideCapsules = collider.collideCapsules.bind(collider);
+        collider.collideCapsules = capsules => {
+            tested.set(collider, (tested.get(collider) || 0) + capsules.length);
+            return collideCapsules(capsules);
+        };
+    }
+    const capsuleCount = system.getCapsules(ybot).length;
+
+    system.startBenchmark();
+    const culled = system.checkCollisions(ybot);
+    const culledTests = [...tested.values()].reduce((sum, count) => sum + count, 0);
+    tested.clear();
+    system.broadPhase = false;
+    const everything = system.checkCollisions(ybot);
+    assert.ok(system.colliders.filter(collider => collider.bounds).every(collider => tested.get(collider) === capsuleCount),
+        'without the broad phase every obstacle tests every capsule');
+
+    assert.ok(culled.contacts.some(contact => contact.collider.name === 'Low step'));
+    assert.deepStrictEqual(describe(culled), describe(everything));
+    assert.ok(culled.penetration === everything.penetration);
+    assert.strictEqual(system.contacts, everything.contacts);
+
+    const [withBroadPhase, without] = system.benchmark.samples;
+    assert.ok(withBroadPhase.pairsTested * 10 < without.pairsTested, `${withBroadPhase.pairsTested} vs ${without.pairsTested} pairs`);
+    assert.strictEqual(without.pairsTested, without.pairsTotal);
+    // The floor and the body each get every capsule; the rest is what the obstacles tested
+    assert.strictEqual(withBroadPhase.pairsTested, culledTests + 2 * capsuleCount);
+
+    const report = system.stopBenchmark();
+    assert.strictEqual(report.frames, 2);
+    assert.ok(report.averageTime > 0 && report.maxTime >= report.averageTime);
+    assert.strictEqual(report.colliders, 164);
+    assert.strictEqual(system.benchmark, null);
+});
+
+test('projectPoint moves a point to the nearest spot clear of every collider', () => {
+    const system = new CollisionSystem();
+    system.addCollider(new FloorCollider(0));
+    const table = new BoxCollider(vector(0, 0.7, 0.5), vector(1, 0.1, 0.6));
+    system.addCollider(table);
+
+    // Inside the table top, nearer its upper face
+    const inside = vector(0.1, 0.73, 0.5);
+    assert.strictEqual(system.checkPointCollision(inside).contacts[0].collider, table);
+    const lifted = system.projectPoint(inside, 0.05);
+    nearVector(lifted.point, vector(0.1, 0.8, 0.5), 1e-6);
+    near(lifted.distance, 0.07, 1e-6);
+    assert.deepStrictEqual(lifted.colliders, [table]);
+
+    // Just inside the underside it leaves downwards, the nearer way out
+    const wedged = system.projectPoint(vector(0.1, 0.66, 0.5), 0.02);
+    near(wedged.point.y, 0.63, 1e-6);
+    assert.strictEqual(system.checkPointCollision(wedged.point), null);
+
+    // Free points stay where they are
+    const free = system.projectPoint(vector(0.8, 1.2, 0), 0.05);
+    assert.strictEqual(free.distance, 0);
+    assert.deepStrictEqual(free.colliders, []);
+});
+
+test('projectIKTarget keeps hand targets out of the floor and the torso, but not out of the arm', () => {
+    const { projectIKTarget } = loadScripts(['transitions.js'], ['projectIKTarget']);
+    const { ybot, bones } = createYBot();
+
+    const system = new CollisionSystem();
+    system.addCollider(new FloorCollider(0));
+    const body = new CapsuleCollider(ybot);
+    system.addCollider(body);
+    global.collisionSystem = system;
+
+    const handRadius = body.capsules.find(capsule => capsule.bone === bones.mixamorigLeftHand).radius;
+    const onFloor = projectIKTarget('leftHand', vector(0.3, -0.1, 0.3));
+    near(onFloor.target.y, handRadius, 1e-6);
+    assert.deepStrictEqual(onFloor.colliders.map(collider => collider.name), ['floor']);
+
+    // Into the spine, which the arm doesn't move
+    const spine = bones.mixamorigSpine1.getWorldPosition(new THREE.Vector3());
+    const inBody = projectIKTarget('leftHand', spine);
+    assert.ok(inBody.distance > 0);
+    assert.deepStrictEqual(inBody.colliders, [body]);
+    assert.strictEqual(system.checkPointCollision(inBody.target), null);
+
+    // The hand's own spot: the arm's capsules move with it, so they don't count
+    const hand = bones.mixamorigLeftHand.getWorldPosition(new THREE.Vector3());
+    assert.strictEqual(projectIKTarget('leftHand', hand).distance, 0);
+    global.collisionSystem = undefined;
+});
@@ -0,0 +1,50 @@
+// browser.js - Loads the app's browser scripts into Node for tests
+
+// The app is plain <script> files sharing globals, so the tests run them in
+// this process's global scope (node --test gives every test file its own
+// process) with just enough of the browser around them.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..', '..');
+const loaded = new Set();
+
+global.THREE = require('three');
+global.window = global;
+global.ybot = null; // Scene object and YBot instance main.js would create
+global.ybotInstance = null;
+global.document = {
+    getElementById: () => null,
+    createElement: () => ({ style: {}, appendChild() {} })
+};
+global.localStorage = {
+    store: {},
+    getItem(key) { return key in this.store ? this.store[key] : null; },
+    setItem(key, value) { this.store[key] = String(value); },
+    removeItem(key) { delete this.store[key]; }
+};
+
+// The scripts log every bone and capsule; TEST_LOGS=1 shows them
+if (!process.env.TEST_LOGS) {
+    console.log = () => {};
+}
+
+// Run scripts (paths from the repo root) once each, in order, and return the
+// named globals they define. Top-level classes and lets aren't properties of
+// the global object, so they are looked up by evaluating their names.
+function loadScripts(files, names = []) {
+    for (const file of files) {
+        if (loaded.has(file)) continue;
+        vm.runInThisContext(fs.readFileSync(path.join(root, file), 'utf8'), { filename: file });
+        loaded.add(file);
+    }
+
+    const globals = {};
+    for (const name of names) {
+        globals[name] = vm.runInThisContext(name);
+    }
+    return globals;
+}
+
+module.exports = { loadScripts };
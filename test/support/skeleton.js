@@ -0,0 +1,100 @@
+// skeleton.js - Procedural Mixamo-style skeleton standing in for YBot.fbx in tests
+
+const THREE = require('three');
+const { loadScripts } = require('./browser');
+
+// [name, parent, offset from parent in meters, in the character's axes]. A T-pose
+// facing +Z with +X on the character's left, like YBot: hips 1 m up, feet 10 cm
+// above the floor, 0.53 m from shoulder to wrist.
+const mixamoBones = [
+    ['mixamorigHips', null, [0, 1.0, 0]],
+    ['mixamorigSpine', 'mixamorigHips', [0, 0.1, 0]],
+    ['mixamorigSpine1', 'mixamorigSpine', [0, 0.12, 0]],
+    ['mixamorigSpine2', 'mixamorigSpine1', [0, 0.12, 0]],
+    ['mixamorigNeck', 'mixamorigSpine2', [0, 0.15, 0]],
+    ['mixamorigHead', 'mixamorigNeck', [0, 0.1, 0]],
+    ['mixamorigHeadTop_End', 'mixamorigHead', [0, 0.18, 0]]
+];
+
+for (const [side, sign] of [['Left', 1], ['Right', -1]]) {
+    mixamoBones.push(
+        [`mixamorig${side}Shoulder`, 'mixamorigSpine2', [0.06 * sign, 0.1, 0]],
+        [`mixamorig${side}Arm`, `mixamorig${side}Shoulder`, [0.12 * sign, 0, 0]],
+        [`mixamorig${side}ForeArm`, `mixamorig${side}Arm`, [0.27 * sign, 0, 0]],
+        [`mixamorig${side}Hand`, `mixamorig${side}ForeArm`, [0.26 * sign, 0, 0]],
+        [`mixamorig${side}HandMiddle1`, `mixamorig${side}Hand`, [0.09 * sign, 0, 0]],
+        [`mixamorig${side}UpLeg`, 'mixamorigHips', [0.09 * sign, -0.05, 0]],
+        // Knees bend forward a touch, as in the real rig, so CCD has a bend direction
+        [`mixamorig${side}Leg`, `mixamorig${side}UpLeg`, [0, -0.43, 0.01]],
+        [`mixamorig${side}Foot`, `mixamorig${side}Leg`, [0, -0.42, -0.01]],
+        [`mixamorig${side}ToeBase`, `mixamorig${side}Foot`, [0, -0.06, 0.13]],
+        [`mixamorig${side}Toe_End`, `mixamorig${side}ToeBase`, [0, 0, 0.08]]
+    );
+}
+
+// Like Mixamo, every bone's local +Y points at its child; arm bones keep local
+// +Z pointing down and the rest keep it pointing forward, which is the frame the
+// hinge axes in constraints.js assume
+function boneWorldQuaternion(name, position, childPosition) {
+    const y = childPosition.clone().sub(position).normalize();
+    let hint = /Shoulder|Arm|Hand/.test(name) ? new THREE.Vector3(0, -1, 0) : new THREE.Vector3(0, 0, 1);
+    if (Math.abs(y.dot(hint)) > 0.8) {
+        hint = new THREE.Vector3(0, 1, 0); // Feet and toes point forward already
+    }
+    const x = new THREE.Vector3().crossVectors(y, hint).normalize();
+    const z = new THREE.Vector3().crossVectors(x, y);
+    return new THREE.Quaternion().setFromRotationMatrix(new THREE.Matrix4().makeBasis(x, y, z));
+}
+
+// Returns the root object (what FBXLoader would give, at scale 1) and its bones by name
+function createMixamoSkeleton() {
+    const root = new THREE.Group();
+    root.name = 'YBotFixture';
+    const bones = {};
+    const positions = {};
+    const rotations = {};
+
+    for (const [name, parent, offset] of mixamoBones) {
+        positions[name] = new THREE.Vector3().fromArray(offset).add(parent ? positions[parent] : new THREE.Vector3());
+    }
+    for (const [name, parent] of mixamoBones) {
+        const child = mixamoBones.find(entry => entry[1] === name);
+        rotations[name] = child
+            ? boneWorldQuaternion(name, positions[name], positions[child[0]])
+            : rotations[parent].clone(); // End bones keep their parent's frame
+    }
+
+    for (const [name, parent] of mixamoBones) {
+        const bone = new THREE.Bone();
+        bone.name = name;
+        const parentPosition = parent ? positions[parent] : new THREE.Vector3();
+        const parentRotation = parent ? rotations[parent] : new THREE.Quaternion();
+        const toParentFrame = parentRotation.clone().invert();
+        bone.position.copy(positions[name]).sub(parentPosition).applyQuaternion(toParentFrame);
+        bone.quaternion.copy(toParentFrame.multiply(rotations[name]));
+        (parent ? bones[parent] : root).add(bone);
+        bones[name] = bone;
+    }
+
+    root.updateMatrixWorld(true);
+    return { root, bones };
+}
+
+// A YBot on a new skeleton, set up the way main.js sets up the loaded FBX: the
+// ybot and ybotInstance globals, then the IK chains. ybot.js must be loaded.
+// With height, the skeleton stands that far above (or below) the floor.
+function createYBot(height = 0) {
+    const { root, bones } = createMixamoSkeleton();
+    root.position.y = height;
+    root.updateMatrixWorld(true);
+
+    const { YBot } = loadScripts([], ['YBot']);
+    global.ybot = root;
+    const ybot = new YBot();
+    global.ybotInstance = ybot;
+    ybot.setObject(root);
+    ybot.createIKChains();
+    return { ybot, root, bones };
+}
+
+module.exports = { createMixamoSkeleton, createYBot, mixamoBones };
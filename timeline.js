@@ -0,0 +1,176 @@
+// timeline.js - Keyframed pose sequences and their playback
+
+// Sequence format:
+// {
+//     description: "Little dance",
+//     mode: "loop",                  // "once", "loop" or "pingpong"
+//     easing: "easeInOutSine",       // default easing between keyframes
+//     keyframes: [
+//         { time: 0, pose: { leftHand: [x, y, z], ... } },
+//         { time: 0.5, pose: { ... }, easing: "linear" }   // easing into this keyframe
+//     ]
+// }
+// Times are seconds from the start. Fields a keyframe leaves out keep the
+// value from the keyframe before it.
+const sequenceModes = ['once', 'loop', 'pingpong'];
+
+class PoseSequencePlayer {
+    constructor() {
+        this.sequence = null;
+        this.keyframes = [];
+        this.duration = 0;
+        this.time = 0;
+        this.mode = 'once';
+        this.playing = false;
+        this.direction = 1; // -1 while a ping-pong sequence runs backwards
+        this.onUpdate = null; // (time, duration) after each applied frame
+        this.onComplete = null; // Called when a 'once' sequence reaches its end
+    }
+
+    load(sequence) {
+        const keyframes = (sequence.keyframes || [])
+            .filter(keyframe => keyframe && typeof keyframe.time === 'number' && keyframe.pose)
+            .sort((a, b) => a.time - b.time);
+
+        if (keyframes.length === 0) {
+            throw new Error('Pose sequence has no valid keyframes');
+        }
+
+        // Carry fields forward so every keyframe holds the full pose up to that point
+        let carried = {};
+        this.keyframes = keyframes.map(keyframe => {
+            carried = Object.assign({}, carried, keyframe.pose);
+            return {
+                time: keyframe.time,
+                easing: keyframe.easing || sequence.easing || 'easeInOutSine',
+                pose: carried
+            };
+        });
+
+        this.sequence = sequence;
+        this.duration = this.keyframes[this.keyframes.length - 1].time;
+        this.mode = sequenceModes.includes(sequence.mode) ? sequence.mode : 'once';
+        this.time = 0;
+        this.direction = 1;
+        this.playing = false;
+
+        console.log(`Loaded pose sequence "${sequence.description || 'untitled'}": ${this.keyframes.length} keyframes, ${this.duration}s, ${this.mode}`);
+    }
+
+    play() {
+        if (!this.sequence) return;
+
+        if (this.mode === 'once' && this.time >= this.duration) {
+            this.time = 0; // Replay a finished sequence from the start
+        }
+
+        // The sequence owns these targets while it plays
+        poseTransitions.release(Object.keys(this.keyframes[this.keyframes.length - 1].pose));
+
+        this.playing = true;
+        this.applyAt(this.time);
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    stop() {
+        this.playing = false;
+        this.time = 0;
+        this.direction = 1;
+        if (this.onUpdate) {
+            this.onUpdate(this.time, this.duration);
+        }
+    }
+
+    seek(time) {
+        if (!this.sequence) return;
+        this.time = Math.max(0, Math.min(this.duration, time));
+        this.applyAt(this.time);
+    }
+
+    update(deltaTime) {
+        if (!this.playing) return;
+
+        let time = this.time + deltaTime * this.direction;
+        let completed = false;
+
+        if (time > this.duration || time < 0) {
+            if (this.duration === 0) {
+                time = 0;
+                completed = this.mode === 'once';
+            } else if (this.mode === 'loop') {
+                time = ((time % this.duration) + this.duration) % this.duration;
+            } else if (this.mode === 'pingpong') {
+                if (time > this.duration) {
+                    time = 2 * this.duration - time;
+                    this.direction = -1;
+                } else {
+                    time = -time;
+                    this.direction = 1;
+                }
+            } else {
+                time = this.duration;
+                completed = true;
+            }
+        }
+
+        this.time = time;
+        this.applyAt(time);
+
+        if (completed) {
+            this.playing = false;
+            if (this.onComplete) {
+                this.onComplete(this.sequence);
+            }
+        }
+    }
+
+    // Interpolated pose at a time, in the same format as a single pose
+    evaluate(time) {
+        const keyframes = this.keyframes;
+        if (time <= keyframes[0].time) return keyframes[0].pose;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const next = keyframes[i];
+            if (time <= next.time) {
+                const previous = keyframes[i - 1];
+                const span = next.time - previous.time;
+                const progress = span > 0 ? (time - previous.time) / span : 1;
+                const easing = easingFunctions[next.easing] || easingFunctions.linear;
+                return interpolatePoses(previous.pose, next.pose, easing(progress));
+            }
+        }
+
+        return keyframes[keyframes.length - 1].pose;
+    }
+
+    applyAt(time) {
+        setPoseTargets(this.evaluate(time));
+        if (this.onUpdate) {
+            this.onUpdate(time, this.duration);
+        }
+    }
+}
+
+// Blend two poses field by field: positions lerp, rotations slerp
+function interpolatePoses(from, to, t) {
+    const pose = {};
+
+    for (const [field, toValue] of Object.entries(to)) {
+        const fromValue = from[field];
+        if (!Array.isArray(toValue)) continue;
+
+        if (!Array.isArray(fromValue)) {
+            pose[field] = toValue;
+        } else if (field.endsWith('Rotation')) {
+            const fromQuat = YBot.parseRotation(fromValue);
+            pose[field] = fromQuat.slerp(YBot.parseRotation(toValue), t).toArray();
+        } else {
+            pose[field] = toValue.map((value, index) => fromValue[index] + (value - fromValue[index]) * t);
+        }
+    }
+
+    return pose;
+}
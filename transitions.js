@@ -0,0 +1,307 @@
+// transitions.js - Eased, cancellable tweens between IK poses
+
+const easingFunctions = {
+    linear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeOutBack: t => {
+        const overshoot = 1.70158;
+        return 1 + (overshoot + 1) * Math.pow(t - 1, 3) + overshoot * Math.pow(t - 1, 2);
+    }
+};
+
+class PoseTransition {
+    // tracks: [{ key, from, to, apply }] where from/to are Vector3 or Quaternion
+    constructor(tracks, options = {}) {
+        this.tracks = tracks;
+        this.duration = Math.max(0, options.duration !== undefined ? options.duration : 600); // ms
+        this.easing = typeof options.easing === 'function'
+            ? options.easing
+            : (easingFunctions[options.easing] || easingFunctions.easeInOutCubic);
+        this.onProgress = options.onProgress || null;
+        this.elapsed = 0;
+        this.progress = 0;
+        this.state = 'running'; // 'running', 'completed' or 'cancelled'
+
+        // Resolves with { state, progress } when the transition completes or is cancelled
+        this.promise = new Promise(resolve => {
+            this.resolvePromise = resolve;
+        });
+    }
+
+    // Advance by deltaTime seconds. Returns false once the transition has ended.
+    update(deltaTime) {
+        if (this.state !== 'running') return false;
+
+        this.elapsed += deltaTime * 1000;
+        this.progress = this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : 1;
+        const t = this.easing(this.progress);
+
+        for (const track of this.tracks) {
+            if (track.from.isQuaternion) {
+                track.apply(track.from.clone().slerp(track.to, t));
+            } else {
+                track.apply(track.from.clone().lerp(track.to, t));
+            }
+        }
+
+        if (this.onProgress) {
+            this.onProgress(this.progress);
+        }
+
+        if (this.progress >= 1) {
+            this.finish('completed');
+        }
+        return this.state === 'running';
+    }
+
+    cancel() {
+        if (this.state === 'running') {
+            this.finish('cancelled');
+        }
+    }
+
+    finish(state) {
+        this.state = state;
+        this.resolvePromise({ state: state, progress: this.progress });
+    }
+}
+
+class PoseTransitionManager {
+    constructor() {
+        this.transitions = [];
+    }
+
+    start(tracks, options = {}) {
+        // The new transition takes over any tracks an older one was still moving
+        this.release(tracks.map(track => track.key));
+
+        const transition = new PoseTransition(tracks, options);
+        if (transition.duration === 0 || tracks.length === 0) {
+            transition.update(0); // Snap straight to the goal
+        } else {
+            this.transitions.push(transition);
+        }
+        return transition;
+    }
+
+    // Stop tweening the given track keys; transitions left with nothing to move are cancelled
+    release(keys) {
+        for (const transition of this.transitions) {
+            transition.tracks = transition.tracks.filter(track => !keys.includes(track.key));
+            if (transition.tracks.length === 0) {
+                transition.cancel();
+            }
+        }
+        this.transitions = this.transitions.filter(transition => transition.state === 'running');
+    }
+
+    update(deltaTime) {
+        this.transitions = this.transitions.filter(transition => transition.update(deltaTime));
+    }
+
+    cancelAll() {
+        this.transitions.forEach(transition => transition.cancel());
+        this.transitions = [];
+    }
+
+    isActive() {
+        return this.transitions.length > 0;
+    }
+}
+
+// Read duration and easing from the panel controls
+function getTransitionOptions() {
+    const durationInput = document.getElementById('transitionDuration');
+    const easingSelect = document.getElementById('transitionEasing');
+    const duration = durationInput ? parseFloat(durationInput.value) : NaN;
+
+    return {
+        duration: isNaN(duration) ? 600 : duration,
+        easing: easingSelect ? easingSelect.value : 'easeInOutCubic'
+    };
+}
+
+// Tween every field named in poseData (see pose.js) from its current value.
+// The visual handles jump to the goal straight away so the user sees where the
+// pose is heading. transition.pose holds the full goal pose for history.
+function transitionToPose(poseData, options = getTransitionOptions()) {
+    const pose = normalizePose(poseData);
+    const current = capturePose();
+    const goal = Object.assign({}, current, pose);
+    const tracks = [];
+
+    // Targets are relative to the root, so resolve them against where the root ends up.
+    // When the root moves, chains the pose leaves out come along with the body.
+    const movesRoot = Array.isArray(pose.rootPosition) || Array.isArray(pose.rootRotation);
+    const goalRoot = {
+        position: new THREE.Vector3().fromArray(goal.rootPosition),
+        quaternion: YBot.parseRotation(goal.rootRotation)
+    };
+
+    if (ybotInstance && ybotInstance.object3D) {
+        const root = ybotInstance.object3D;
+        if (Array.isArray(pose.rootPosition)) {
+            tracks.push({
+                key: 'rootPosition',
+                from: root.position.clone(),
+                to: goalRoot.position,
+                apply: value => ybotInstance.setRootPosition(value.toArray())
+            });
+        }
+        if (Array.isArray(pose.rootRotation)) {
+            tracks.push({
+                key: 'rootRotation',
+                from: root.quaternion.clone(),
+                to: goalRoot.quaternion,
+                apply: value => ybotInstance.setRootRotation(value.toArray())
+            });
+        }
+        if (Array.isArray(pose.hipsOffset)) {
+            tracks.push({
+                key: 'hipsOffset',
+                from: ybotInstance.hipsOffset.clone(),
+                to: new THREE.Vector3().fromArray(pose.hipsOffset),
+                apply: value => ybotInstance.setHipsOffset(value.toArray())
+            });
+        }
+    }
+
+    const adjustments = [];
+    for (const chainName of ikChainNames) {
+        const chain = ybotInstance && ybotInstance.ikChains[chainName];
+
+        if (Array.isArray(pose[chainName]) || (movesRoot && Array.isArray(goal[chainName]))) {
+            const projected = projectIKTarget(chainName, characterToWorld(goal[chainName], goalRoot));
+            const target = projected.target;
+            adjustments.push(projected);
+            if (ikTargets[chainName]) {
+                ikTargets[chainName].position.copy(target);
+            }
+            if (chain) {
+                // The way there is kept clear too, so the limb goes around obstacles
+                tracks.push({
+                    key: chainName,
+                    from: chain.target ? chain.target.clone() : target.clone(),
+                    to: target,
+                    apply: value => chain.setTarget(projectIKTarget(chainName, value).target)
+                });
+            }
+        }
+
+        const poleField = `${chainName}PoleTarget`;
+        if ((Array.isArray(pose[poleField]) || (movesRoot && Array.isArray(goal[poleField]))) && poleTargets[chainName]) {
+            const target = characterToWorld(goal[poleField], goalRoot);
+            poleTargets[chainName].position.copy(target);
+            poleTargets[chainName].userData.active = true;
+            if (chain) {
+                tracks.push({
+                    key: poleField,
+                    from: chain.poleTarget ? chain.poleTarget.clone() : target.clone(),
+                    to: target,
+                    apply: value => chain.setPoleTarget(value)
+                });
+            }
+        }
+
+        const rotation = pose[`${chainName}Rotation`];
+        if (Array.isArray(rotation) && chain) {
+            const currentRotation = ybotInstance.ikTargetRotations[chainName];
+            tracks.push({
+                key: `${chainName}Rotation`,
+                from: currentRotation ? currentRotation.clone() : new THREE.Quaternion(),
+                to: YBot.parseRotation(rotation),
+                apply: value => ybotInstance.setIKTargetRotation(chainName, value.toArray())
+            });
+        }
+    }
+
+    // A new pose takes over from whatever sequence was driving the targets
+    if (sequencePlayer.playing) {
+        sequencePlayer.pause();
+    }
+
+    const transition = poseTransitions.start(tracks, options);
+    transition.pose = goal;
+    transition.adjustments = adjustments;
+    showTargetAdjustments(adjustments);
+    console.log(`Pose transition: ${tracks.length} tracks over ${transition.duration}ms`);
+    return transition;
+}
+
+// Set targets immediately, without tweening or logging - for per-frame drivers
+// such as the sequence player
+function setPoseTargets(poseData) {
+    if (ybotInstance) {
+        if (Array.isArray(poseData.rootPosition)) {
+            ybotInstance.setRootPosition(poseData.rootPosition);
+        }
+        if (Array.isArray(poseData.rootRotation)) {
+            ybotInstance.setRootRotation(poseData.rootRotation);
+        }
+        if (Array.isArray(poseData.hipsOffset)) {
+            ybotInstance.setHipsOffset(poseData.hipsOffset);
+        }
+    }
+    const rootTransform = getRootTransform();
+    const adjustments = [];
+
+    for (const chainName of ikChainNames) {
+        const chain = ybotInstance && ybotInstance.ikChains[chainName];
+
+        const position = poseData[chainName];
+        if (Array.isArray(position)) {
+            const projected = projectIKTarget(chainName, characterToWorld(position, rootTransform));
+            const target = projected.target;
+            adjustments.push(projected);
+            if (ikTargets[chainName]) {
+                ikTargets[chainName].position.copy(target);
+            }
+            if (chain) {
+                chain.setTarget(target);
+            }
+        }
+
+        const pole = poseData[`${chainName}PoleTarget`];
+        if (Array.isArray(pole) && poleTargets[chainName]) {
+            const target = characterToWorld(pole, rootTransform);
+            poleTargets[chainName].position.copy(target);
+            poleTargets[chainName].userData.active = true;
+            if (chain) {
+                chain.setPoleTarget(target);
+            }
+        }
+
+        const rotation = poseData[`${chainName}Rotation`];
+        if (Array.isArray(rotation) && chain) {
+            ybotInstance.setIKTargetRotation(chainName, rotation);
+        }
+    }
+    showTargetAdjustments(adjustments);
+}
+
+// Move a world-space target to the nearest point where the chain's end bone fits:
+// out of the floor, the scene obstacles and the body parts the chain doesn't move
+// (a hand can't reach into the chest, a foot into the other leg). Returns
+// { chainName, target, requested, distance, colliders }.
+function projectIKTarget(chainName, requested) {
+    const result = { chainName: chainName, target: requested, requested: requested, distance: 0, colliders: [] };
+    const chain = ybotInstance && ybotInstance.ikChains[chainName];
+    if (!collisionSystem || !chain) return result;
+
+    // The end bone's capsule radius is how far its joint has to stay from a surface
+    const endBone = chain.joints[chain.joints.length - 1];
+    const body = collisionSystem.colliders.find(collider => collider instanceof CapsuleCollider && collider.ybot === ybotInstance);
+    const endCapsule = body ? body.capsules.find(capsule => capsule.bone === endBone) : null;
+    const clearance = endCapsule ? endCapsule.radius : 0;
+
+    const chainRoot = chain.joints[0];
+    const projected = collisionSystem.projectPoint(requested, clearance, capsule => capsule.ancestors.has(chainRoot));
+    result.target = projected.point;
+    result.distance = projected.distance;
+    result.colliders = projected.colliders;
+    return result;
+}
@@ -4,13 +4,11 @@ function savePoseToHistory(poseData, description) {
     // Remove any poses after current index (for undo/redo)
     poseHistory = poseHistory.slice(0, currentPoseIndex + 1);
 
-    // Save current pose state
-    const currentPose = {
-        leftHand: ikTargets.leftHand ? ikTargets.leftHand.position.toArray() : null,
-        rightHand: ikTargets.rightHand ? ikTargets.rightHand.position.toArray() : null,
+    // Save the full-body pose: current goals overlaid with anything poseData names
+    const currentPose = Object.assign(capturePose(), normalizePose(poseData), {
         description: description,
         timestamp: Date.now()
-    };
+    });
 
     poseHistory.push(currentPose);
     currentPoseIndex = poseHistory.length - 1;
@@ -45,58 +43,344 @@ function redoPose() {
 }
 
 function applySavedPose(pose) {
-    if (pose.leftHand) {
-        moveIKTarget('leftHand', ...pose.leftHand);
-    }
-    if (pose.rightHand) {
-        moveIKTarget('rightHand', ...pose.rightHand);
-    }
-}
-
-function switchLLMProvider(provider) {
-    llmProvider = provider;
-
-    // Hide all configs
-    document.getElementById('openaiConfig').style.display = 'none';
-    document.getElementById('anthropicConfig').style.display = 'none';
-    document.getElementById('ollamaConfig').style.display = 'none';
-    document.getElementById('lmstudioConfig').style.display = 'none';
-    document.getElementById('togetherConfig').style.display = 'none';
-
-    // Show selected config and update status
-    switch(provider) {
-        case 'openai':
-            document.getElementById('openaiConfig').style.display = 'block';
-            updateLLMStatus('🔑 Ready for OpenAI GPT-4');
-            break;
-        case 'anthropic':
-            document.getElementById('anthropicConfig').style.display = 'block';
-            updateLLMStatus('🧠 Ready for Anthropic Claude');
-            break;
-        case 'ollama':
-            document.getElementById('ollamaConfig').style.display = 'block';
-            updateLLMStatus('🐪 Ready for Ollama Local LLM');
-            break;
-        case 'lmstudio':
-            document.getElementById('lmstudioConfig').style.display = 'block';
-            updateLLMStatus('🎭 Ready for LM Studio Local LLM');
-            break;
-        case 'together':
-            document.getElementById('togetherConfig').style.display = 'block';
-            updateLLMStatus('🚀 Ready for Together AI');
-            break;
-        default: // webllm
-            updateLLMStatus(llmEngine ? '🤖 WebLLM Ready' : '❌ WebLLM Offline');
+    return transitionToPose(pose);
+}
+
+function cancelPoseTransitions() {
+    poseTransitions.cancelAll();
+    document.getElementById('llmResponse').textContent = '⏹ Pose transition stopped';
+}
+
+function populateSequenceSelect() {
+    const select = document.getElementById('sequenceSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    for (const [name, sequence] of Object.entries(poseSequences)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = sequence.description || name;
+        select.appendChild(option);
+    }
+
+    const first = Object.keys(poseSequences)[0];
+    if (first) {
+        selectSequencePreset(first);
+    }
+}
+
+function selectSequencePreset(name) {
+    const sequence = poseSequences[name];
+    if (!sequence) return;
+
+    sequencePlayer.stop();
+    sequencePlayer.load(sequence);
+    document.getElementById('sequenceMode').value = sequencePlayer.mode;
+    updateSequenceControls(0, sequencePlayer.duration);
+}
+
+// Load and start a sequence, e.g. one returned by the LLM
+function playPoseSequence(sequence) {
+    sequencePlayer.stop();
+    sequencePlayer.load(sequence);
+    document.getElementById('sequenceMode').value = sequencePlayer.mode;
+    sequencePlayer.play();
+    showTargetsTemporarily();
+}
+
+function playSequence() {
+    // The mode selector can override the sequence's own mode
+    sequencePlayer.mode = document.getElementById('sequenceMode').value;
+    sequencePlayer.play();
+    showTargetsTemporarily();
+}
+
+function pauseSequence() {
+    sequencePlayer.pause();
+}
+
+function stopSequence() {
+    sequencePlayer.stop();
+}
+
+function seekSequence(value) {
+    sequencePlayer.pause();
+    sequencePlayer.seek(sequencePlayer.duration * value / 1000);
+}
+
+function updateSequenceControls(time, duration) {
+    const seek = document.getElementById('sequenceSeek');
+    const label = document.getElementById('sequenceTime');
+    if (seek) {
+        seek.value = duration > 0 ? Math.round(time / duration * 1000) : 0;
+    }
+    if (label) {
+        label.textContent = `${time.toFixed(1)} / ${duration.toFixed(1)}s`;
+    }
+}
+
+function loadSavedPoses() {
+    try {
+        savedPoses = JSON.parse(localStorage.getItem('ybot_savedPoses')) || {};
+    } catch (error) {
+        console.warn('Could not read saved poses:', error);
+        savedPoses = {};
+    }
+    populateSavedPoseSelect();
+}
+
+function populateSavedPoseSelect() {
+    const select = document.getElementById('savedPoseSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = Object.keys(savedPoses).length > 0 ? 'Saved poses...' : 'No saved poses';
+    select.appendChild(placeholder);
+
+    for (const name of Object.keys(savedPoses)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
     }
 }
 
+// Saved poses also become few-shot examples in the LLM prompt
+function saveCurrentPose() {
+    const name = prompt('Name this pose (it is also shown to the LLM as an example):');
+    if (!name) return;
+
+    savedPoses[name] = capturePose(name);
+    localStorage.setItem('ybot_savedPoses', JSON.stringify(savedPoses));
+    populateSavedPoseSelect();
+    document.getElementById('llmResponse').textContent = `💾 Saved pose: ${name}`;
+}
+
+function applySavedPoseByName(name) {
+    const pose = savedPoses[name];
+    if (!pose) return;
+
+    transitionToPose(pose);
+    showTargetsTemporarily();
+    document.getElementById('llmResponse').textContent = `📂 Applied: ${name}`;
+}
+
+function deleteSavedPose() {
+    const name = document.getElementById('savedPoseSelect').value;
+    if (!name) return;
+
+    delete savedPoses[name];
+    localStorage.setItem('ybot_savedPoses', JSON.stringify(savedPoses));
+    populateSavedPoseSelect();
+    document.getElementById('llmResponse').textContent = `🗑 Deleted pose: ${name}`;
+}
+
+function togglePromptEditor() {
+    const editor = document.getElementById('promptEditor');
+    const isHidden = editor.style.display === 'none';
+    editor.style.display = isHidden ? 'block' : 'none';
+    if (isHidden) {
+        document.getElementById('promptTemplate').value = promptTemplate;
+        document.getElementById('promptPreview').textContent = '';
+    }
+}
+
+function savePromptTemplate() {
+    setPromptTemplate(document.getElementById('promptTemplate').value);
+    document.getElementById('llmResponse').textContent = '📝 Prompt template saved';
+}
+
+function restoreDefaultPromptTemplate() {
+    resetPromptTemplate();
+    document.getElementById('promptTemplate').value = promptTemplate;
+    document.getElementById('llmResponse').textContent = '📝 Prompt template reset to default';
+}
+
+// Show the exact messages the next request would send, using the text in the editor
+function previewPrompt() {
+    const previous = promptTemplate;
+    promptTemplate = document.getElementById('promptTemplate').value;
+    const text = document.getElementById('llmInput').value || 'wave hello';
+    const messages = buildPoseMessages(text);
+    promptTemplate = previous;
+
+    document.getElementById('promptPreview').textContent = messages
+        .map(message => `[${message.role}]\n${message.content}`)
+        .join('\n\n');
+}
+
+// One line per instruction and one per accepted reply
+function renderChatTranscript() {
+    const transcript = document.getElementById('chatTranscript');
+    if (!transcript) return;
+
+    transcript.innerHTML = '';
+    for (const turn of conversationHistory) {
+        const userLine = document.createElement('div');
+        userLine.textContent = `🧑 ${turn.input}`;
+        transcript.appendChild(userLine);
+
+        const botLine = document.createElement('div');
+        botLine.textContent = `🤖 ${turn.summary}`;
+        botLine.title = turn.output;
+        botLine.style.color = '#4a9eff';
+        transcript.appendChild(botLine);
+    }
+    transcript.scrollTop = transcript.scrollHeight;
+}
+
+// Build the provider dropdown and one config panel per registered adapter
+function buildLLMProviderControls() {
+    const select = document.getElementById('llmProvider');
+    const container = document.getElementById('llmProviderConfigs');
+    select.innerHTML = '';
+    container.innerHTML = '';
+
+    for (const provider of Object.values(llmProviders)) {
+        const option = document.createElement('option');
+        option.value = provider.id;
+        option.textContent = provider.label;
+        select.appendChild(option);
+
+        if (provider.configSchema.length === 0 && !provider.help) continue;
+
+        const panel = document.createElement('div');
+        panel.id = `${provider.id}Config`;
+        panel.style.display = 'none';
+
+        for (const field of provider.configSchema) {
+            const input = document.createElement('input');
+            input.id = getProviderConfigInputId(provider, field);
+            input.type = field.type || 'text';
+            if (field.type === 'checkbox') {
+                const label = document.createElement('label');
+                label.style.fontSize = '12px';
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(` ${field.label}`));
+                panel.appendChild(label);
+                panel.appendChild(document.createElement('br'));
+                continue;
+            }
+            input.placeholder = field.default && field.label.indexOf(field.default) === -1
+                ? `${field.label} (${field.default})`
+                : field.label;
+            input.style.width = '200px';
+            if (field.type === 'password') {
+                input.onchange = () => {
+                    if (keyVault.unlocked) saveKeysToVault();
+                };
+            }
+            panel.appendChild(input);
+            panel.appendChild(document.createElement('br'));
+        }
+
+        if (provider.help) {
+            const help = document.createElement('small');
+            help.style.color = '#ccc';
+            help.appendChild(document.createTextNode(`${provider.help.text} `));
+            const link = document.createElement('a');
+            link.href = provider.help.url;
+            link.target = '_blank';
+            link.style.color = '#4a9eff';
+            link.textContent = provider.help.linkText;
+            help.appendChild(link);
+            if (provider.help.note) {
+                help.appendChild(document.createTextNode(` ${provider.help.note}`));
+            }
+            panel.appendChild(help);
+            panel.appendChild(document.createElement('br'));
+        }
+
+        container.appendChild(panel);
+    }
+
+    select.value = llmProvider;
+}
+
+// Current values of a provider's config panel, with schema defaults filled in
+function getLLMProviderConfig(providerId) {
+    const provider = getLLMProvider(providerId);
+    const config = {};
+    const missing = [];
+
+    for (const field of provider.configSchema) {
+        const input = document.getElementById(getProviderConfigInputId(provider, field));
+        if (field.type === 'checkbox') {
+            config[field.key] = input ? input.checked : false;
+            continue;
+        }
+        const value = input ? input.value.trim() : '';
+        if (!value && field.required) {
+            missing.push(field);
+        }
+        config[field.key] = value || field.default || '';
+    }
+
+    // Through the local proxy the keys live on the server
+    if (missing.length > 0 && !config.proxy) {
+        throw new Error(`${missing[0].label} required`);
+    }
+    return config;
+}
+
+function switchLLMProvider(providerId) {
+    llmProvider = providerId;
+
+    // Show only the selected provider's config panel
+    for (const id of Object.keys(llmProviders)) {
+        const panel = document.getElementById(`${id}Config`);
+        if (panel) {
+            panel.style.display = id === providerId ? 'block' : 'none';
+        }
+    }
+
+    const provider = getLLMProvider(providerId);
+    updateLLMStatus(typeof provider.status === 'function' ? provider.status() : (provider.status || `Ready for ${provider.label}`));
+}
+
+function loadLLMFallbackChain() {
+    const saved = localStorage.getItem('ybot_llmFallbackChain');
+    if (saved !== null) {
+        llmFallbackChain = saved.split(',').map(id => id.trim()).filter(Boolean);
+    }
+    document.getElementById('llmFallbackChain').value = llmFallbackChain.join(', ');
+}
+
+// Comma-separated provider ids, e.g. "ollama, openai"
+function setLLMFallbackChain(value) {
+    const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !llmProviders[id]);
+    if (unknown.length > 0) {
+        document.getElementById('llmResponse').textContent = `❌ Unknown provider: ${unknown.join(', ')} (try ${Object.keys(llmProviders).join(', ')})`;
+        return;
+    }
+
+    llmFallbackChain = ids;
+    localStorage.setItem('ybot_llmFallbackChain', ids.join(','));
+    document.getElementById('llmResponse').textContent = ids.length > 0
+        ? `🔁 Fallbacks: ${ids.map(id => getLLMProvider(id).name).join(' → ')}`
+        : '🔁 No fallback providers';
+}
+
 function updateLLMStatus(message) {
     document.getElementById('llmStatus').textContent = message;
 }
 
-function moveIKTarget(targetName, x, y, z) {
+// Optional rotation: Euler degrees [x, y, z] or quaternion [x, y, z, w] for the
+// chain's end bone, relative to its rest pose (see YBot.setIKTargetRotation)
+function moveIKTarget(targetName, x, y, z, rotation) {
     console.log(`Moving IK target ${targetName} to:`, x, y, z);
 
+    // A direct move overrides any transition still tweening this target
+    poseTransitions.release([targetName]);
+
+    // Keep it out of the floor, obstacles and the rest of the body
+    const projected = projectIKTarget(targetName, new THREE.Vector3(x, y, z));
+    [x, y, z] = projected.target.toArray();
+    showTargetAdjustments([projected]);
+
     // Update visual target
     const target = ikTargets[targetName];
     if (target) {
@@ -108,7 +392,7 @@ function moveIKTarget(targetName, x, y, z) {
     // Update YBot IK chain target
     if (ybotInstance && ybotInstance.ikChains[targetName]) {
         try {
-            ybotInstance.setIKTarget(targetName, [x, y, z]);
+            ybotInstance.setIKTarget(targetName, [x, y, z], rotation);
             console.log(`YBot IK chain ${targetName} target updated`);
         } catch (chainError) {
             console.warn(`Error updating YBot IK chain for ${targetName}:`, chainError);
@@ -118,6 +402,68 @@ function moveIKTarget(targetName, x, y, z) {
     }
 }
 
+// Warn under the response line when targets had to move out of colliders,
+// or clear the warning when the latest ones fit as requested
+function showTargetAdjustments(adjustments) {
+    const warning = document.getElementById('targetWarning');
+    if (!warning) return;
+
+    const moved = adjustments.filter(adjustment => adjustment.distance > 0.001);
+    const text = moved.length === 0 ? '' : '⚠️ Pose adjusted to stay clear of obstacles: ' + moved.map(adjustment => {
+        const part = adjustment.chainName.replace(/([A-Z])/g, ' $1').toLowerCase();
+        const names = adjustment.colliders.map(collider => collider.name).join(', ');
+        return `${part} moved ${(adjustment.distance * 100).toFixed(1)} cm out of ${names}`;
+    }).join('; ');
+
+    // The sequence player calls this every frame
+    if (warning.textContent !== text) {
+        warning.textContent = text;
+    }
+}
+
+function rotateIKTarget(targetName, rotation) {
+    console.log(`Rotating IK target ${targetName} to:`, rotation);
+    poseTransitions.release([`${targetName}Rotation`]);
+
+    if (ybotInstance && ybotInstance.ikChains[targetName]) {
+        ybotInstance.setIKTargetRotation(targetName, rotation);
+    } else {
+        console.warn(`No YBot IK chain found for ${targetName}`);
+    }
+}
+
+function moveIKPoleTarget(targetName, x, y, z) {
+    console.log(`Moving pole target ${targetName} to:`, x, y, z);
+    poseTransitions.release([`${targetName}PoleTarget`]);
+
+    const pole = poleTargets[targetName];
+    if (pole) {
+        pole.position.set(x, y, z);
+        pole.userData.active = true;
+        pole.visible = true;
+    }
+
+    if (ybotInstance && ybotInstance.ikChains[targetName]) {
+        ybotInstance.setIKPoleTarget(targetName, [x, y, z]);
+    } else {
+        console.warn(`No YBot IK chain found for pole ${targetName}`);
+    }
+}
+
+function clearIKPoleTarget(targetName) {
+    poseTransitions.release([`${targetName}PoleTarget`]);
+
+    const pole = poleTargets[targetName];
+    if (pole) {
+        pole.userData.active = false;
+        pole.visible = false;
+    }
+
+    if (ybotInstance && ybotInstance.ikChains[targetName]) {
+        ybotInstance.setIKPoleTarget(targetName, null);
+    }
+}
+
 function toggleWireframe() {
     if (ybot) {
         ybot.traverse(function (child) {
@@ -133,4 +479,261 @@ function resetCamera() {
     cameraRotationX = 0;
     cameraRotationY = 0;
     updateCameraPosition();
-}
\ No newline at end of file
+}
+
+// Every provider config input holding a secret (type: 'password' in its schema)
+function getProviderSecretInputs() {
+    const inputs = [];
+    for (const provider of Object.values(llmProviders)) {
+        for (const field of provider.configSchema) {
+            if (field.type !== 'password') continue;
+            const input = document.getElementById(getProviderConfigInputId(provider, field));
+            if (input) inputs.push(input);
+        }
+    }
+    return inputs;
+}
+
+function updateKeyVaultStatus(text) {
+    document.getElementById('keyVaultStatus').textContent = text;
+}
+
+// Keys saved with the server key unlock by themselves; passphrase vaults wait for the user
+function initKeyVault() {
+    const stored = keyVault.readStored();
+    if (!stored) {
+        updateKeyVaultStatus('No saved keys');
+    } else if (stored.mode === 'server') {
+        unlockKeyVault();
+    } else {
+        updateKeyVaultStatus('🔒 Saved keys locked - enter passphrase');
+    }
+}
+
+// Uses the passphrase box if filled, otherwise the server's encryption key
+async function unlockKeyVault() {
+    const passphraseInput = document.getElementById('keyVaultPassphrase');
+    try {
+        const values = await keyVault.unlock(passphraseInput.value);
+        passphraseInput.value = '';
+
+        let count = 0;
+        for (const input of getProviderSecretInputs()) {
+            if (values[input.id]) {
+                input.value = values[input.id];
+                count++;
+            }
+        }
+        console.log(`Key vault unlocked (${keyVault.mode}), ${count} key(s) restored`);
+        updateKeyVaultStatus(`🔓 Unlocked with ${keyVault.mode === 'server' ? 'server key' : 'passphrase'} (${count} key(s))`);
+        return true;
+    } catch (error) {
+        console.error('Key vault unlock failed:', error.message);
+        updateKeyVaultStatus(`❌ ${error.message}`);
+        return false;
+    }
+}
+
+// Encrypts every filled-in key; unlocks (or creates) the vault first if needed
+async function saveKeysToVault() {
+    if (!keyVault.unlocked && !(await unlockKeyVault())) return;
+
+    const values = {};
+    for (const input of getProviderSecretInputs()) {
+        if (input.value.trim()) {
+            values[input.id] = input.value.trim();
+        }
+    }
+
+    try {
+        await keyVault.save(values);
+        console.log(`Key vault saved ${Object.keys(values).length} key(s)`);
+        updateKeyVaultStatus(`💾 ${Object.keys(values).length} key(s) saved encrypted`);
+    } catch (error) {
+        console.error('Key vault save failed:', error.message);
+        updateKeyVaultStatus(`❌ ${error.message}`);
+    }
+}
+
+// Forgets the decryption key and empties the key inputs; the encrypted copy stays
+function lockKeyVault() {
+    keyVault.lock();
+    for (const input of getProviderSecretInputs()) {
+        input.value = '';
+    }
+    updateKeyVaultStatus(keyVault.readStored() ? '🔒 Locked' : 'No saved keys');
+}
+
+function clearKeyVault() {
+    if (!confirm('Delete all saved API keys?')) return;
+
+    keyVault.clear();
+    for (const input of getProviderSecretInputs()) {
+        input.value = '';
+    }
+    console.log('Key vault cleared');
+    updateKeyVaultStatus('🗑 Saved keys deleted');
+}
+
+function setLLMRecording(enabled) {
+    const responseDiv = document.getElementById('llmResponse');
+    if (enabled) {
+        startLLMRecording();
+        responseDiv.textContent = '⏺ Recording provider replies';
+    } else if (llmRecording) {
+        // What was recorded stays until the next recording, so it can still be saved
+        llmRecording.active = false;
+        const count = llmRecording.exchanges.length;
+        responseDiv.textContent = `⏺ Recording stopped (${count} exchange${count === 1 ? '' : 's'}) - 💾 to save`;
+    }
+}
+
+// Download the recorded exchanges as a replay fixture
+function downloadLLMRecording() {
+    if (!llmRecording || llmRecording.exchanges.length === 0) {
+        document.getElementById('llmResponse').textContent = '❌ Nothing recorded yet - tick ⏺ Record and generate a pose';
+        return;
+    }
+
+    const fixture = { version: llmRecording.version, exchanges: llmRecording.exchanges };
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' }));
+    link.download = 'llm-fixture.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function loadLLMReplayFile(file) {
+    if (!file) return;
+    try {
+        startLLMReplay(JSON.parse(await file.text()));
+        document.getElementById('llmResponse').textContent = `▶ Replaying ${llmReplay.exchanges.length} recorded exchanges from ${file.name}`;
+    } catch (error) {
+        document.getElementById('llmResponse').textContent = `❌ ${error.message}`;
+    }
+}
+
+function stopLLMReplay() {
+    llmReplay = null;
+    document.getElementById('llmReplayFile').value = '';
+    document.getElementById('llmResponse').textContent = '■ Replay stopped - providers are called live again';
+}
+
+// Keep hands and arms out of the torso (and each other) while solving IK
+function toggleSelfCollision(enabled) {
+    if (!ybotInstance || !collisionSystem) return;
+    const capsuleCollider = collisionSystem.colliders.find(collider => collider instanceof CapsuleCollider);
+    ybotInstance.setSelfCollision(enabled && capsuleCollider ? capsuleCollider : null);
+}
+
+// Switch between the IK-driven pose and a Rapier ragdoll built from the collision capsules
+async function toggleRagdoll() {
+    const button = document.getElementById('ragdollToggleBtn');
+    const responseDiv = document.getElementById('llmResponse');
+
+    if (ragdoll && ragdoll.active) {
+        ragdoll.release();
+        button.textContent = '🪆 Ragdoll';
+        responseDiv.textContent = '🧍 Blending back to IK';
+        return;
+    }
+
+    const capsuleCollider = collisionSystem && collisionSystem.colliders.find(collider => collider instanceof CapsuleCollider);
+    if (!ybotInstance || !ybotInstance.isInitialized || !capsuleCollider) {
+        responseDiv.textContent = '❌ YBot is not loaded yet';
+        return;
+    }
+
+    responseDiv.textContent = '⏳ Loading physics...';
+    let rapier;
+    try {
+        rapier = await loadRapier();
+    } catch (error) {
+        console.error('Rapier failed to load:', error);
+        responseDiv.textContent = `❌ Physics failed to load: ${error.message}`;
+        return;
+    }
+
+    // A ragdoll still blending back starts over from the current pose
+    if (ragdoll) {
+        ragdoll.dispose();
+    }
+    ragdoll = new RagdollPhysics(rapier, ybotInstance, capsuleCollider, {
+        obstacles: collisionScene ? collisionScene.colliders : []
+    });
+    button.textContent = '🧍 Back to IK';
+    responseDiv.textContent = `🪆 Ragdoll: ${ragdoll.bodies.length} bodies`;
+}
+
+// Obstacles from a JSON scene (see scene.js) join the collision system and the 3D view
+function applyCollisionScene(loaded) {
+    clearCollisionScene();
+    const meshes = loaded.colliders.map(collider => collider.createMesh());
+    loaded.colliders.forEach(collider => collisionSystem.addCollider(collider));
+    meshes.forEach(mesh => scene.add(mesh));
+    collisionScene = { name: loaded.name, colliders: loaded.colliders, meshes: meshes };
+    document.getElementById('llmResponse').textContent = `🧱 ${loaded.name}: ${loaded.colliders.length} obstacles`;
+}
+
+async function loadCollisionSceneUrl(url) {
+    try {
+        applyCollisionScene(await fetchCollisionScene(url));
+    } catch (error) {
+        document.getElementById('llmResponse').textContent = `❌ ${error.message}`;
+    }
+}
+
+async function loadCollisionSceneFile(file) {
+    if (!file) return;
+    try {
+        applyCollisionScene(await loadCollisionScene(JSON.parse(await file.text()), null));
+    } catch (error) {
+        document.getElementById('llmResponse').textContent = `❌ ${file.name}: ${error.message}`;
+    }
+}
+
+function clearCollisionScene() {
+    if (!collisionScene) return;
+    collisionScene.colliders.forEach(collider => collisionSystem.removeCollider(collider));
+    collisionScene.meshes.forEach(mesh => scene.remove(mesh));
+    collisionScene = null;
+    document.getElementById('collisionSceneFile').value = '';
+}
+
+// Per-frame collision cost, shown under the scene controls while measuring
+let collisionBenchmarkShownAt = 0;
+
+function setCollisionBenchmark(enabled) {
+    const display = document.getElementById('collisionBenchmark');
+    if (enabled) {
+        collisionSystem.startBenchmark();
+        display.textContent = '⏱ Measuring...';
+        return;
+    }
+
+    const report = collisionSystem.stopBenchmark();
+    if (report) {
+        console.log('Collision benchmark:', report);
+    }
+    display.textContent = '';
+}
+
+function setCollisionBroadPhase(enabled) {
+    collisionSystem.broadPhase = enabled;
+    if (collisionSystem.benchmark) {
+        collisionSystem.startBenchmark(); // Don't mix samples from both modes
+    }
+}
+
+function updateCollisionBenchmarkDisplay() {
+    const now = performance.now();
+    if (now - collisionBenchmarkShownAt < 500) return;
+    collisionBenchmarkShownAt = now;
+
+    const report = collisionSystem.getBenchmarkReport();
+    if (!report) return;
+    document.getElementById('collisionBenchmark').textContent =
+        `⏱ ${report.averageTime.toFixed(3)} ms/frame (max ${report.maxTime.toFixed(3)}) over ${report.frames} frames, ` +
+        `${Math.round(report.pairsTested)}/${Math.round(report.pairsTotal)} capsule pairs tested, ` +
+        `${report.contacts.toFixed(1)} contacts, ${report.colliders} colliders`;
+}
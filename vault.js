@@ -0,0 +1,128 @@
+// vault.js - Encrypted storage for provider API keys (WebCrypto AES-GCM in localStorage)
+
+// The AES key is derived with PBKDF2 from either the server's VITE_ENCRYPTION_KEY
+// (served by cors_server.py at /api/encryption-key) or a passphrase the user types.
+// localStorage 'ybot_keyVault' holds { version: 1, mode: 'server' | 'passphrase', salt, iv, data }
+// with the binary fields in base64; data decrypts to { inputId: value }.
+// Key values and secrets must never reach the console.
+const keyVaultStorageKey = 'ybot_keyVault';
+const keyVaultIterations = 250000;
+
+class KeyVault {
+    constructor() {
+        this.cryptoKey = null; // Set while unlocked
+        this.mode = null;
+        this.salt = null;
+    }
+
+    get unlocked() {
+        return this.cryptoKey !== null;
+    }
+
+    readStored() {
+        try {
+            return JSON.parse(localStorage.getItem(keyVaultStorageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async fetchServerSecret() {
+        let response;
+        try {
+            response = await fetch('/api/encryption-key');
+        } catch (error) {
+            throw new Error('Could not reach the server for the encryption key');
+        }
+        if (!response.ok) {
+            throw new Error('Server has no encryption key (set VITE_ENCRYPTION_KEY or use a passphrase)');
+        }
+        const data = await response.json();
+        if (!data.key) {
+            throw new Error('Server sent an empty encryption key');
+        }
+        return data.key;
+    }
+
+    async deriveKey(secret, salt) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: keyVaultIterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Unlock with a passphrase, or with the server key when passphrase is empty.
+    // Resolves with the saved values ({} when nothing is saved yet).
+    async unlock(passphrase) {
+        const stored = this.readStored();
+        const mode = passphrase ? 'passphrase' : 'server';
+        if (stored && stored.mode !== mode) {
+            throw new Error(stored.mode === 'passphrase'
+                ? 'Saved keys are locked with a passphrase'
+                : 'Saved keys use the server key - leave the passphrase empty');
+        }
+
+        const secret = mode === 'server' ? await this.fetchServerSecret() : passphrase;
+        const salt = stored ? keyVaultFromBase64(stored.salt) : crypto.getRandomValues(new Uint8Array(16));
+        const cryptoKey = await this.deriveKey(secret, salt);
+
+        let values = {};
+        if (stored) {
+            try {
+                const plain = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: keyVaultFromBase64(stored.iv) },
+                    cryptoKey,
+                    keyVaultFromBase64(stored.data)
+                );
+                values = JSON.parse(new TextDecoder().decode(plain));
+            } catch (error) {
+                throw new Error(mode === 'passphrase' ? 'Wrong passphrase' : 'Server key does not match the saved keys');
+            }
+        }
+
+        this.cryptoKey = cryptoKey;
+        this.mode = mode;
+        this.salt = salt;
+        return values;
+    }
+
+    // Encrypt and store values ({ inputId: value }), replacing what was saved
+    async save(values) {
+        if (!this.unlocked) {
+            throw new Error('Key vault is locked');
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, this.cryptoKey, new TextEncoder().encode(JSON.stringify(values)));
+        localStorage.setItem(keyVaultStorageKey, JSON.stringify({
+            version: 1,
+            mode: this.mode,
+            salt: keyVaultToBase64(this.salt),
+            iv: keyVaultToBase64(iv),
+            data: keyVaultToBase64(new Uint8Array(data))
+        }));
+    }
+
+    lock() {
+        this.cryptoKey = null;
+    }
+
+    clear() {
+        localStorage.removeItem(keyVaultStorageKey);
+        this.lock();
+        this.mode = null;
+        this.salt = null;
+    }
+}
+
+function keyVaultToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function keyVaultFromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
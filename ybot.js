@@ -1,14 +1,22 @@
 // ybot.js - YBot character class with IK and physics
 
 class YBot {
-    constructor() {
+    constructor(options = {}) {
         this.object3D = null;
         this.bones = [];
         this.ikSolver = new CustomIKSolver();
         this.ikChains = {};
         this.ikTargets = {};
+        this.ikTargetRotations = {}; // Orientation goals relative to the rest pose, by chain name
+        this.restRotations = {}; // End bone rotation relative to the root at chain creation
+        this.hipsOffset = new THREE.Vector3(); // Hips shift from rest in character space, meters
+        this.restHipsPosition = null;
+        this.chainReach = {}; // { center, length } per chain, in character space at rest
         this.isInitialized = false;
 
+        // Joint limits by bone name - rigs can replace or extend the defaults
+        this.jointConstraints = Object.assign({}, defaultJointConstraints, options.jointConstraints);
+
         // Physics properties
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.gravity = -9.8;
@@ -54,6 +62,10 @@ class YBot {
             return this.bones.find(bone => bone.name === name);
         };
 
+        this.object3D.updateMatrixWorld(true);
+        const rootQuat = new THREE.Quaternion();
+        this.object3D.getWorldQuaternion(rootQuat).invert();
+
         // Create chains for different body parts
         const chainConfigs = [
             { name: 'leftHand', bones: ['mixamorigLeftShoulder', 'mixamorigLeftArm', 'mixamorigLeftForeArm', 'mixamorigLeftHand'] },
@@ -67,29 +79,157 @@ class YBot {
             const chainBones = config.bones.map(name => findBone(name)).filter(bone => bone);
             if (chainBones.length >= 2) {
                 const chain = new CustomIKChain();
-                chainBones.forEach(bone => chain.add(bone));
+                chainBones.forEach(bone => chain.add(bone, this.jointConstraints[bone.name] || null));
                 this.ikSolver.add(chain);
                 this.ikChains[config.name] = chain;
+
+                // Remember the end bone's rest orientation so rotation goals can be relative to it
+                const endQuat = new THREE.Quaternion();
+                chainBones[chainBones.length - 1].getWorldQuaternion(endQuat);
+                this.restRotations[config.name] = rootQuat.clone().multiply(endQuat);
+
+                // Everything within the bone lengths of the chain's first joint is reachable
+                const rootPosition = new THREE.Vector3();
+                this.object3D.getWorldPosition(rootPosition);
+                const jointPositions = chainBones.map(bone => bone.getWorldPosition(new THREE.Vector3()));
+                let length = 0;
+                for (let i = 1; i < jointPositions.length; i++) {
+                    length += jointPositions[i].distanceTo(jointPositions[i - 1]);
+                }
+                this.chainReach[config.name] = {
+                    center: jointPositions[0].clone().sub(rootPosition).applyQuaternion(rootQuat),
+                    length: length
+                };
                 console.log(`YBot: Created ${config.name} IK chain with ${chainBones.length} bones`);
             } else {
                 console.warn(`YBot: Not enough bones for ${config.name} chain: ${chainBones.length} found`);
             }
         }
 
+        const hips = findBone('mixamorigHips');
+        if (hips) {
+            this.restHipsPosition = hips.position.clone();
+        }
+
         this.isInitialized = Object.keys(this.ikChains).length > 0;
         console.log(`YBot: IK system initialized with ${Object.keys(this.ikChains).length} chains`);
         return this.isInitialized;
     }
 
-    setIKTarget(chainName, position) {
+    // Merge per-bone overrides into the constraint table and re-apply it to
+    // existing chains. Set a bone to null to remove its limit.
+    setJointConstraints(overrides) {
+        Object.assign(this.jointConstraints, overrides);
+
+        for (const chain of Object.values(this.ikChains)) {
+            chain.constraints = chain.joints.map(bone => this.jointConstraints[bone.name] || null);
+        }
+    }
+
+    setIKTarget(chainName, position, rotation) {
         if (this.ikChains[chainName]) {
             const target = new THREE.Vector3().fromArray(position);
             this.ikChains[chainName].setTarget(target);
+
+            if (rotation !== undefined) {
+                this.setIKTargetRotation(chainName, rotation);
+            }
         }
     }
 
+    // Orientation goal for a chain's end bone (hand, foot or head), relative to
+    // its rest pose in the character's axes (+X left, +Y up, +Z forward).
+    // Accepts Euler degrees [x, y, z] or a quaternion [x, y, z, w]; null clears it.
+    setIKTargetRotation(chainName, rotation) {
+        if (!this.ikChains[chainName]) return;
+
+        if (!rotation) {
+            delete this.ikTargetRotations[chainName];
+            this.ikChains[chainName].setTargetRotation(null);
+            return;
+        }
+
+        this.ikTargetRotations[chainName] = YBot.parseRotation(rotation);
+    }
+
+    static parseRotation(rotation) {
+        if (rotation.length === 4) {
+            return new THREE.Quaternion().fromArray(rotation).normalize();
+        }
+
+        const euler = new THREE.Euler(
+            THREE.MathUtils.degToRad(rotation[0]),
+            THREE.MathUtils.degToRad(rotation[1]),
+            THREE.MathUtils.degToRad(rotation[2])
+        );
+        return new THREE.Quaternion().setFromEuler(euler);
+    }
+
+    // Convert the root-relative orientation goals into world space for the solver
+    updateTargetRotations() {
+        const rootQuat = new THREE.Quaternion();
+        this.object3D.getWorldQuaternion(rootQuat);
+
+        for (const [name, rotation] of Object.entries(this.ikTargetRotations)) {
+            const worldQuat = rootQuat.clone().multiply(rotation).multiply(this.restRotations[name]);
+            this.ikChains[name].setTargetRotation(worldQuat);
+        }
+    }
+
+    // Pass null to remove the pole and let the solver pick the bend direction
+    setIKPoleTarget(chainName, position) {
+        if (this.ikChains[chainName]) {
+            const pole = position ? new THREE.Vector3().fromArray(position) : null;
+            this.ikChains[chainName].setPoleTarget(pole);
+        }
+    }
+
+    // Shift the hips from their rest position, e.g. [0, -0.25, 0] to crouch. The
+    // feet stay on their targets, so the legs bend to absorb it.
+    setHipsOffset(offset) {
+        this.hipsOffset.fromArray(offset);
+    }
+
+    applyHipsOffset() {
+        const hips = this.getBone('mixamorigHips');
+        if (!hips || !this.restHipsPosition) return;
+
+        // The hips hang straight off the root, so only the root's scale separates meters from bone units
+        hips.position.copy(this.restHipsPosition).addScaledVector(this.hipsOffset, 1 / this.object3D.scale.y);
+    }
+
+    setRootPosition(position) {
+        if (this.object3D) {
+            this.object3D.position.fromArray(position);
+        }
+    }
+
+    // Euler degrees [x, y, z] or quaternion [x, y, z, w], like IK target rotations
+    setRootRotation(rotation) {
+        if (this.object3D) {
+            this.object3D.quaternion.copy(YBot.parseRotation(rotation));
+        }
+    }
+
+    // Keep the IK chains out of the body's own capsules while solving; null turns it off
+    setSelfCollision(capsuleCollider) {
+        this.ikSolver.selfCollision = capsuleCollider;
+    }
+
+    // Per-chain convergence from the most recent solve
+    getIKStatus() {
+        const status = {};
+        for (const [name, chain] of Object.entries(this.ikChains)) {
+            status[name] = chain.lastResult;
+        }
+        return status;
+    }
+
     updateIK(physicsMode = false) {
         if (this.isInitialized) {
+            this.applyHipsOffset();
+            this.updateTargetRotations();
+
             // In physics mode, skip spine-related IK chains to allow natural deformation
             if (physicsMode) {
                 // Only solve non-spine chains (hands and feet)